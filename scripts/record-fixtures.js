@@ -0,0 +1,65 @@
+// Records live responses into test/fixtures/ for the offline tests.
+//
+//   GEMINI_API_KEY=... GOOGLE_CSE_API_KEY=... GOOGLE_CSE_CX=... \
+//     npm run record-fixtures -- q="oled 55" budget=4000 sizeMin=55 sizeMax=65
+//
+// Runs one fresh search through the real pipeline (fetch is wrapped, the DB Durable Object is the
+// test stand-in) and saves every successful response that test/helpers.js knows how to replay.
+// Re-run after a site changes its markup, then update the test expectations to the new pages.
+
+import { writeFileSync } from "node:fs";
+
+import {
+  discoverOlxListings,
+  fetchListingDetails,
+  geminiIntent,
+  newLlmUsage,
+  normalizeSearchInput,
+  runSearchPipeline,
+} from "../src/index.js";
+import { FIXTURES_DIR, fakeDb, fixtureName } from "../test/helpers.js";
+
+const args = Object.fromEntries(
+  process.argv.slice(2).map((a) => {
+    const i = a.indexOf("=");
+    return i < 0 ? [a, true] : [a.slice(0, i), a.slice(i + 1)];
+  })
+);
+if (!args.q) {
+  console.error('usage: npm run record-fixtures -- q="oled 55" [budget=4000] [sizeMin=55] [sizeMax=65] [condition=any]');
+  process.exit(1);
+}
+const raw = { ...args };
+for (const k of ["budget", "sizeMin", "sizeMax"]) if (raw[k] != null) raw[k] = Number(raw[k]);
+
+const realFetch = globalThis.fetch;
+const saved = [];
+globalThis.fetch = async (input, init = {}) => {
+  const url = typeof input === "string" ? input : input.url;
+  const res = await realFetch(input, init);
+  const name = fixtureName(url, init);
+  if (name && res.ok) {
+    writeFileSync(new URL(name, FIXTURES_DIR), Buffer.from(await res.clone().arrayBuffer()));
+    saved.push(name);
+  }
+  return res;
+};
+
+const env = {
+  DB: fakeDb(),
+  GEMINI_API_KEY: process.env.GEMINI_API_KEY,
+  GOOGLE_CSE_API_KEY: process.env.GOOGLE_CSE_API_KEY,
+  GOOGLE_CSE_CX: process.env.GOOGLE_CSE_CX,
+};
+const input = normalizeSearchInput(raw);
+const usage = newLlmUsage(env);
+const steps = [];
+const intent = await geminiIntent(env, input, { usage, steps, fresh: true });
+const result = await runSearchPipeline(env, input, intent, { usage, steps, fresh: true });
+// While OLX's API answers the pipeline never reaches its Google CSE fallback: record that query and its ads too
+const olxCse = await discoverOlxListings(env, intent, input, { fresh: true });
+await fetchListingDetails(env, olxCse.items, { fresh: true });
+
+writeFileSync(new URL("search-input.json", FIXTURES_DIR), JSON.stringify(raw, null, 2) + "\n");
+console.log(`recorded ${saved.length} responses: ${[...new Set(saved)].join(", ")}`);
+console.log(`sources: ${JSON.stringify(Object.fromEntries(Object.entries(result.sources).map(([k, s]) => [k, s.count])))}`);
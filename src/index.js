@@ -1,80 +1,607 @@
 // src/index.js
 // Cloudflare Worker + Durable Object
 // Endpoints:
-//   GET  /api/search?q=...&budget=4000&sizeMin=55&sizeMax=65&condition=any
-//   GET  /api/health
+//   GET  /api/search?q=...&budget=4000&sizeMin=55&sizeMax=65&condition=any&city=cluj-napoca&radiusKm=50&region=cluj
+//                                      (city/region = OLX location slugs, optional; city + radiusKm
+//                                       rank nearby pickup or shippable listings first, see RO_LOCALITIES)
+//                                      &rankBy=effective|price (default effective: price + shipping + no-warranty risk)
+//                                      (top = product groups: best offer + all offers across sources)
+//   GET  /api/search/stream?...        (same params; Server-Sent Events, one event per pipeline stage)
+//   POST /api/jobs                     {q, budget, sizeMin, sizeMax, condition} -> {id} (runs in the DB Durable Object)
+//   GET  /api/jobs/:id                 (status, completed stages, result when done; only the key(s) that started it)
+//   DELETE /api/cache?ns=...&key=...   (admin; ns = intent|result|source|details|llm|robots|cse, both optional)
+//   GET  /api/keys                     (admin; API keys + today's usage)
+//   POST /api/keys                     (admin) {name, role: user|admin, dailySearches, dailyLlmCalls} -> key shown once
+//   DELETE /api/keys?id=...            (admin)
+//   ?fresh=1 on /api/search and /api/search/stream bypasses every cache read
+//   GET  /api/health                   (per-source status from recent crawl yields, CSE quota)
+//   GET  /api/searches                 (saved searches + last tracked run)
+//   POST /api/searches                 {q, budget, sizeMin, sizeMax, condition, name} (API keys only, SAVED_SEARCHES_PER_KEY each;
+//                                       every cron re-run counts against the owner's search / LLM-call quota)
+//   DELETE /api/searches?id=...
+//   GET  /api/watchlists[?id=...]      (API keys only; named groups of saved searches + pinned listing links)
+//   POST /api/watchlists               {name, searches: [{name, q, budget, ...}], pins: [link | {link, note}]}
+//   PUT  /api/watchlists?id=...        {name?, searches?, pins?} (replaces the given fields; unchanged items keep their state)
+//   DELETE /api/watchlists?id=...
+//   POST /api/watchlists/refresh?id=...  -> job {id, pollUrl} (re-runs every search, re-reads every pin, no caches, in
+//                                       the DB Durable Object; the job result has per-item changes: new listings,
+//                                       price moves, disappeared listings, pins gone)
+//   GET  /api/history?link=...         (price time series + min/max/median; points older than HISTORY_RETENTION_MS are dropped)
+//   GET  /api/listings?link=...        (OLX ad lifecycle: first/last seen, active|removed|sold, price changes, relist chain;
+//                                       "sold" only when the seller says so in the title (VANDUT, sold), other ads that
+//                                       go away are "removed"; ads unseen for LISTING_RETENTION_MS are forgotten)
+//   GET  /api/listings[?status=removed|sold|active&limit=50] (most recently changed ads)
+//   GET  /api/alerts                   (alerts are admin-only)
+//   POST /api/alerts                   {link | query, maxPriceRON, webhookUrl}
+//   DELETE /api/alerts?id=...
+//
+// Auth: "authorization: Bearer <api key>" on every /api route except /api/health (EventSource can't set headers,
+// so /api/search/stream also takes ?key=). Keys live in DB with per-key daily search / LLM-call quotas;
+// ADMIN_TOKEN is always an admin key. Without a key, requests get 401 unless PUBLIC_DAILY_SEARCHES allows
+// a shared anonymous quota.
+//
+// Cron (*/30): re-runs saved searches and records new/cheaper listings vs previous runs,
+// then re-reads a few known OLX ads to notice removed/sold ones between searches.
 //
 // Fully automatic crawling:
 //   - Pricy (price comparison)
 //   - Reselecto (resealed/used retailer)
-//   - OLX best-effort via Google CSE discovery (site:olx.ro), then fetch top listing pages
+//   - eMAG, Altex (retail search pages; JSON-LD / embedded product data first, HTML tiles as fallback)
+//   - OLX search (public JSON API, then search pages; Google CSE site:olx.ro as last resort), then fetch top listing pages
+//   (each source is an adapter in SOURCE_ADAPTERS)
 // Reviews:
-//   - Google CSE (Reddit + pro sites) for top candidates
-// Gemini:
+//   - Google CSE (Reddit + pro sites, per category: CATEGORY_PROFILES) for top candidates
+// Gemini (or any LLM provider, see LLM_PROVIDERS):
 //   - intent extraction
 //   - listing facts (defects/negotiable/condition/size)
 //   - scoring + differences + pros/cons
 //   - final recommendation
 //
 // REQUIRED env vars (Worker -> Settings -> Variables):
-//   GEMINI_API_KEY (Secret)
+//   GEMINI_API_KEY (Secret)       // unless LLM_PROVIDER points elsewhere
 //   GOOGLE_CSE_API_KEY (Secret)   // Google Custom Search JSON API key
 //   GOOGLE_CSE_CX (Text/Secret)   // Programmable Search Engine CX
+// OPTIONAL:
+//   ALERT_WEBHOOK_URL (Text)      // default target for price alerts without their own webhookUrl
+//   RISK_PREMIUM_PCT (Text)       // % of price added for items without warranty, default 10 (scaled down up to 12 months)
+//   COURIER_ESTIMATE_RON (Text)   // shipping estimate for listings that don't come from a shop, default 30
+//   SHOP_SHIPPING_RON (Text)      // shop delivery cost when the shop doesn't state one, default 20
+//   PICKUP_RON_PER_KM (Text)      // travel cost per km for pickup (round trip counted), default 0.5
+//   LLM_PROVIDER (Text)           // gemini (default) | openai (any /v1/chat/completions server) | mock
+//   OPENAI_BASE_URL, OPENAI_API_KEY // e.g. http://localhost:11434/v1 for Ollama / llama.cpp
+//   LLM_MODEL, LLM_MODEL_<TASK>   // model override; TASK = INTENT | FACTS | SCORE | RECOMMENDATION
+//   LLM_RETRIES, LLM_TIMEOUT_MS   // defaults 1 and 12000
+//   LLM_MOCK_RESPONSES (Text)     // mock provider script: {"<task>|*": response | [responses...]}
+//   ADMIN_TOKEN (Secret)          // bearer token with the admin role (bootstrap: create API keys with it)
+//   KEY_DAILY_SEARCHES, KEY_DAILY_LLM_CALLS // defaults for new API keys, 50 and 200
+//   PUBLIC_DAILY_SEARCHES, PUBLIC_DAILY_LLM_CALLS // shared quota for requests without a key, default 0 (key required)
+//   CORS_ORIGINS (Text)           // comma-separated allowed origins, default * (any)
+//   CRAWLER_USER_AGENT (Text)     // sent to crawled sites; default identifies PriceHunterBot
+//   CRAWLER_CONTACT (Text)        // URL or e-mail appended to the default user agent
+//   CSE_DAILY_LIMIT (Text)        // Google CSE calls per day, default 100 (the free quota)
+//   CSE_DISCOVERY_RESERVE (Text)  // calls kept back for OLX discovery once reviews are cut off, default 20
 //
 // Durable Object binding name must be DB and class_name DB in wrangler.toml/dashboard.
+//
+// Tests: npm test (offline, replays test/fixtures/); npm run record-fixtures -- q="..." refreshes the fixtures.
 
 export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
+  async fetch(request, env, ctx) {
+    return applyCors(await routeRequest(request, env, ctx), request, env);
+  },
 
-    // CORS preflight
-    if (request.method === "OPTIONS") return new Response(null, { headers: corsHeaders() });
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runTrackedSearches(env).finally(() => recheckListings(env)));
+  },
+};
 
-    if (url.pathname === "/") {
-      return htmlResponse(INDEX_HTML, 200);
-    }
+async function routeRequest(request, env, ctx) {
+  const url = new URL(request.url);
+
+  // CORS preflight
+  if (request.method === "OPTIONS") return new Response(null, { headers: corsHeaders() });
+
+  if (url.pathname === "/") {
+    return htmlResponse(INDEX_HTML, 200);
+  }
+
+  if (url.pathname === "/api/health") {
+    const cseUsage = await cseQuotaUsage(env).catch(() => null);
+    const sources = await sourceHealthGet(env)
+      .then((runs) => Object.fromEntries(SOURCE_ADAPTERS.map((a) => [a.name, sourceHealthStatus(runs[a.name] || [])])))
+      .catch(() => null);
+    return json(
+      {
+        ok: true,
+        hasGemini: Boolean(env.GEMINI_API_KEY),
+        llmProvider: llmProviderName(env),
+        hasLlm: hasLlm(env),
+        hasGoogleCSE: Boolean(env.GOOGLE_CSE_API_KEY && env.GOOGLE_CSE_CX),
+        cseUsage,
+        sources,
+        degradedSources: sources ? Object.keys(sources).filter((k) => ["degraded", "failing"].includes(sources[k].status)) : null,
+        ts: new Date().toISOString(),
+      },
+      200
+    );
+  }
+
+  // Everything below needs an API key (or the public quota); see authenticate()
+  const auth = await authenticate(request, env, url);
+
+  if (url.pathname === "/api/search") {
+    const denied = requireRole(auth, "user");
+    if (denied) return denied;
+    const input = normalizeSearchInput(Object.fromEntries(url.searchParams));
+    if (!input.q) return json({ error: "missing q" }, 400);
+
+    const quota = await takeSearchQuota(env, auth);
+    if (!quota.ok) return quotaExceeded(quota);
 
-    if (url.pathname === "/api/health") {
+    const usage = newLlmUsage(env);
+    usage.limit = quota.llmCallsLeft;
+    try {
+      const result = await runSearchWithCache(env, input, {
+        usage,
+        fresh: url.searchParams.get("fresh") === "1",
+        waitUntil: (p) => ctx?.waitUntil(p),
+      });
+      return json(result, 200);
+    } catch (e) {
       return json(
         {
-          ok: true,
-          hasGemini: Boolean(env.GEMINI_API_KEY),
-          hasGoogleCSE: Boolean(env.GOOGLE_CSE_API_KEY && env.GOOGLE_CSE_CX),
-          ts: new Date().toISOString(),
+          error: "worker_exception",
+          message: String(e?.message || e),
+          // Stack traces show internals; admins only
+          stack: auth.role === "admin" && e?.stack ? String(e.stack).slice(0, 2000) : null,
         },
-        200
+        500
       );
+    } finally {
+      ctx?.waitUntil(recordLlmUsage(env, auth, usage.calls, quota).catch(() => {}));
     }
+  }
+
+  if (url.pathname === "/api/history") {
+    const denied = requireRole(auth, "user");
+    if (denied) return denied;
+    const link = (url.searchParams.get("link") || "").trim();
+    if (!link) return json({ error: "missing link" }, 400);
+    if (!safeUrl(link)) return json({ error: "invalid link" }, 400);
 
-    if (url.pathname === "/api/search") {
-  const q = (url.searchParams.get("q") || "").trim();
-  if (!q) return json({ error: "missing q" }, 400);
+    const points = await historyGet(env, link);
+    return json({ link, stats: priceStats(points), points }, 200);
+  }
 
-  const budget = numOrNull(url.searchParams.get("budget"));
-  const sizeMin = numOrNull(url.searchParams.get("sizeMin"));
-  const sizeMax = numOrNull(url.searchParams.get("sizeMax"));
-  const condition = (url.searchParams.get("condition") || "any").trim().toLowerCase();
+  if (url.pathname === "/api/listings") {
+    const denied = requireRole(auth, "user");
+    if (denied) return denied;
+    const link = (url.searchParams.get("link") || "").trim();
+    if (link) {
+      if (!safeUrl(link)) return json({ error: "invalid link" }, 400);
+      const listing = await listingGet(env, link);
+      return listing ? json(listing, 200) : json({ error: "not found" }, 404);
+    }
 
-  const input = { q, budget, sizeMin, sizeMax, condition };
+    const status = (url.searchParams.get("status") || "").trim().toLowerCase() || null;
+    if (status && !LISTING_STATUSES.includes(status)) return json({ error: "invalid status" }, 400);
+    const limit = clamp(Number(url.searchParams.get("limit")) || 50, 1, 200);
+    return json({ items: await listingsList(env, status, limit) }, 200);
+  }
 
-  try {
-    const result = await runSearchWithCache(env, input);
-    return json(result, 200);
-  } catch (e) {
-    return json(
-      {
-        error: "worker_exception",
-        message: String(e?.message || e),
-        stack: e?.stack ? String(e.stack).slice(0, 2000) : null,
+  if (url.pathname === "/api/search/stream") {
+    const denied = requireRole(auth, "user");
+    if (denied) return denied;
+    const input = normalizeSearchInput(Object.fromEntries(url.searchParams));
+    if (!input.q) return json({ error: "missing q" }, 400);
+
+    const quota = await takeSearchQuota(env, auth);
+    if (!quota.ok) return quotaExceeded(quota);
+    const usage = newLlmUsage(env);
+    usage.limit = quota.llmCallsLeft;
+
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+    const send = (event, data) =>
+      writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)).catch(() => {});
+
+    const run = runSearchWithCache(env, input, {
+      usage,
+      onStage: send,
+      fresh: url.searchParams.get("fresh") === "1",
+      waitUntil: (p) => ctx?.waitUntil(p),
+    })
+      .then((result) => send("done", result))
+      .catch((e) => send("error", { error: "worker_exception", message: String(e?.message || e) }))
+      .finally(() => {
+        writer.close().catch(() => {});
+        return recordLlmUsage(env, auth, usage.calls, quota).catch(() => {});
+      });
+    ctx?.waitUntil(run);
+
+    return new Response(readable, {
+      headers: {
+        "content-type": "text/event-stream; charset=utf-8",
+        "cache-control": "no-cache",
+        ...corsHeaders(),
       },
-      500
-    );
+    });
+  }
+
+  if (url.pathname === "/api/jobs" && request.method === "POST") {
+    const denied = requireRole(auth, "user");
+    if (denied) return denied;
+    const body = await request.json().catch(() => null);
+    const input = normalizeSearchInput(body || Object.fromEntries(url.searchParams));
+    if (!input.q) return json({ error: "missing q" }, 400);
+
+    const quota = await takeSearchQuota(env, auth);
+    if (!quota.ok) return quotaExceeded(quota);
+
+    // The job settles its reserved LLM calls with this key when it runs (DB.runJob)
+    const job = await jobCreate(env, input, { keyId: auth.keyId, llmCallLimit: quota.llmCallsLeft, quotaDay: quota.day });
+    // Joined an identical in-flight job: its reservation isn't needed
+    if (job.coalesced) ctx?.waitUntil(recordLlmUsage(env, auth, 0, quota).catch(() => {}));
+    return json(publicJob(job), job.coalesced ? 200 : 202);
+  }
+
+  if (url.pathname.startsWith("/api/jobs/") && request.method === "GET") {
+    const denied = requireRole(auth, "user");
+    if (denied) return denied;
+    const jobId = decodeURIComponent(url.pathname.slice("/api/jobs/".length));
+    const job = jobId ? await jobGet(env, jobId) : null;
+    // Another key's job is "not found": its query and results are that key's business
+    const visible = job && (auth.role === "admin" || job.keyId === auth.keyId || job.viewers?.includes(auth.keyId));
+    if (!visible) return json({ error: "job not found" }, 404);
+    return json(publicJob(job), 200);
+  }
+
+  if (url.pathname === "/api/cache" && request.method === "DELETE") {
+    const denied = requireRole(auth, "admin");
+    if (denied) return denied;
+
+    const ns = url.searchParams.get("ns") || null;
+    const key = url.searchParams.get("key") || null;
+    if (ns && !(ns in CACHE_TTL_MS)) return json({ error: "unknown ns", namespaces: Object.keys(CACHE_TTL_MS) }, 400);
+    if (key && !ns) return json({ error: "key requires ns" }, 400);
+
+    const deleted = await cacheDelete(env, ns, key);
+    return json({ ok: true, ns, key, deleted }, 200);
+  }
+
+  if (url.pathname === "/api/keys") {
+    const denied = requireRole(auth, "admin");
+    if (denied) return denied;
+
+    if (request.method === "GET") {
+      return json({ items: await apiKeysList(env, quotaDay()) }, 200);
+    }
+
+    if (request.method === "POST") {
+      const body = await request.json().catch(() => null);
+      const role = String(body?.role || "user").trim().toLowerCase();
+      if (!["user", "admin"].includes(role)) return json({ error: "invalid role" }, 400);
+      const dailySearches = numOrNull(body?.dailySearches) ?? keyDefault(env.KEY_DAILY_SEARCHES, 50);
+      const dailyLlmCalls = numOrNull(body?.dailyLlmCalls) ?? keyDefault(env.KEY_DAILY_LLM_CALLS, 200);
+      if (dailySearches < 0 || dailyLlmCalls < 0) return json({ error: "invalid quota" }, 400);
+
+      // Only the hash is stored; the key itself is returned once
+      const secret = `ph_${randomHex(24)}`;
+      const key = {
+        id: crypto.randomUUID(),
+        name: normalizeText(String(body?.name || "")).slice(0, 120) || null,
+        role,
+        dailySearches: Math.floor(dailySearches),
+        dailyLlmCalls: Math.floor(dailyLlmCalls),
+        createdAt: new Date().toISOString(),
+      };
+      await apiKeyPut(env, key, await sha256Hex(secret));
+      return json({ ...key, key: secret }, 201);
+    }
+
+    if (request.method === "DELETE") {
+      const id = (url.searchParams.get("id") || "").trim();
+      if (!id) return json({ error: "missing id" }, 400);
+      const deleted = await apiKeyDelete(env, id);
+      return json({ ok: deleted, id }, deleted ? 200 : 404);
+    }
+
+    return json({ error: "method_not_allowed" }, 405);
+  }
+
+  if (url.pathname === "/api/alerts") {
+    const denied = requireRole(auth, "admin");
+    if (denied) return denied;
+
+    if (request.method === "GET") {
+      return json({ items: await alertsList(env) }, 200);
+    }
+
+    if (request.method === "POST") {
+      const body = await request.json().catch(() => null);
+      const link = String(body?.link || "").trim() || null;
+      const query = normalizeText(String(body?.query || "")) || null;
+      const maxPriceRON = numOrNull(body?.maxPriceRON);
+      const webhookUrl = String(body?.webhookUrl || "").trim() || null;
+
+      if (!link && !query) return json({ error: "missing link or query" }, 400);
+      if (link && !safeUrl(link)) return json({ error: "invalid link" }, 400);
+      if (link && maxPriceRON == null) return json({ error: "missing maxPriceRON" }, 400);
+      if (webhookUrl && !isPublicWebhookUrl(webhookUrl)) return json({ error: "invalid webhookUrl (https, public host)" }, 400);
+      if (!webhookUrl && !env.ALERT_WEBHOOK_URL) return json({ error: "missing webhookUrl (no ALERT_WEBHOOK_URL configured)" }, 400);
+
+      const alert = { id: crypto.randomUUID(), link, query, maxPriceRON, webhookUrl, createdAt: new Date().toISOString() };
+      await alertPut(env, alert);
+      return json(alert, 201);
+    }
+
+    if (request.method === "DELETE") {
+      const id = (url.searchParams.get("id") || "").trim();
+      if (!id) return json({ error: "missing id" }, 400);
+      const deleted = await alertDelete(env, id);
+      return json({ ok: deleted, id }, deleted ? 200 : 404);
+    }
+
+    return json({ error: "method_not_allowed" }, 405);
+  }
+
+  if (url.pathname === "/api/searches") {
+    const denied = requireRole(auth, "user");
+    if (denied) return denied;
+    // Each key sees and deletes its own saved searches; admins see all
+    const mine = (s) => auth.role === "admin" || s.owner === auth.keyId;
+
+    if (request.method === "GET") {
+      const searches = await savedSearchesList(env);
+      return json({ items: searches.filter(mine).map(publicSavedSearch) }, 200);
+    }
+
+    if (request.method === "POST") {
+      // The shared public quota can't own background work
+      if (auth.role === "public") return json({ error: "forbidden" }, 403);
+      const body = await request.json().catch(() => null);
+      const input = normalizeSearchInput(body || {});
+      if (!input.q) return json({ error: "missing q" }, 400);
+      if (auth.role !== "admin") {
+        const owned = (await savedSearchesList(env)).filter((s) => s.owner === auth.keyId).length;
+        if (owned >= SAVED_SEARCHES_PER_KEY) return json({ error: `at most ${SAVED_SEARCHES_PER_KEY} saved searches per key` }, 400);
+      }
+
+      const search = {
+        id: crypto.randomUUID(),
+        name: normalizeText(String(body?.name || "")).slice(0, 120) || input.q,
+        input,
+        owner: auth.keyId,
+        createdAt: new Date().toISOString(),
+        lastCheckedAt: null,
+        lastRun: null,
+        seen: {},
+      };
+      await savedSearchPut(env, search);
+      return json(publicSavedSearch(search), 201);
+    }
+
+    if (request.method === "DELETE") {
+      const id = (url.searchParams.get("id") || "").trim();
+      if (!id) return json({ error: "missing id" }, 400);
+      const existing = (await savedSearchesList(env)).find((s) => s.id === id);
+      if (existing && !mine(existing)) return json({ error: "forbidden" }, 403);
+      const deleted = existing ? await savedSearchDelete(env, id) : false;
+      return json({ ok: deleted, id }, deleted ? 200 : 404);
+    }
+
+    return json({ error: "method_not_allowed" }, 405);
+  }
+
+  if (url.pathname === "/api/watchlists" || url.pathname === "/api/watchlists/refresh") {
+    const denied = requireRole(auth, "user");
+    if (denied) return denied;
+    // Keyless callers would all share the one "public" owner (and its quota for refresh jobs)
+    if (auth.role === "public") return json({ error: "forbidden" }, 403);
+    const mine = (w) => auth.role === "admin" || w.owner === auth.keyId;
+    const id = (url.searchParams.get("id") || "").trim();
+    const existing = id ? await watchlistGet(env, id) : null;
+    if (existing && !mine(existing)) return json({ error: "forbidden" }, 403);
+
+    if (url.pathname === "/api/watchlists/refresh") {
+      if (request.method !== "POST") return json({ error: "method_not_allowed" }, 405);
+      if (!id) return json({ error: "missing id" }, 400);
+      if (!existing) return json({ error: "not found" }, 404);
+
+      // Up to WATCHLIST_MAX_SEARCHES searches plus the pins: too much for one request, so it's a job
+      // (poll /api/jobs/:id). Each search takes the caller's quota when the job gets to it.
+      const job = await jobCreate(env, { watchlistId: id }, { kind: "watchlist_refresh", keyId: auth.keyId });
+      return json(publicJob(job), job.coalesced ? 200 : 202);
+    }
+
+    if (request.method === "GET") {
+      if (id) return existing ? json(publicWatchlist(existing), 200) : json({ error: "not found" }, 404);
+      const lists = await watchlistsList(env);
+      return json({ items: lists.filter(mine).map(publicWatchlist) }, 200);
+    }
+
+    if (request.method === "POST") {
+      const body = await request.json().catch(() => null);
+      const name = normalizeText(String(body?.name || "")).slice(0, 120);
+      if (!name) return json({ error: "missing name" }, 400);
+      const items = normalizeWatchlistItems({ searches: body?.searches || [], pins: body?.pins || [] }, null);
+      if (items.error) return json({ error: items.error }, 400);
+
+      const ts = new Date().toISOString();
+      const watchlist = { id: crypto.randomUUID(), name, owner: auth.keyId, createdAt: ts, updatedAt: ts, lastRefreshedAt: null, ...items };
+      await watchlistPut(env, watchlist);
+      return json(publicWatchlist(watchlist), 201);
+    }
+
+    if (request.method === "PUT") {
+      if (!id) return json({ error: "missing id" }, 400);
+      if (!existing) return json({ error: "not found" }, 404);
+      const body = await request.json().catch(() => null);
+      if (!body || typeof body !== "object") return json({ error: "invalid body" }, 400);
+      const items = normalizeWatchlistItems(body, existing);
+      if (items.error) return json({ error: items.error }, 400);
+
+      const name = body.name !== undefined ? normalizeText(String(body.name || "")).slice(0, 120) : existing.name;
+      if (!name) return json({ error: "missing name" }, 400);
+      const watchlist = { ...existing, ...items, name, updatedAt: new Date().toISOString() };
+      await watchlistPut(env, watchlist);
+      return json(publicWatchlist(watchlist), 200);
+    }
+
+    if (request.method === "DELETE") {
+      if (!id) return json({ error: "missing id" }, 400);
+      const deleted = existing ? await watchlistDelete(env, id) : false;
+      return json({ ok: deleted, id }, deleted ? 200 : 404);
+    }
+
+    return json({ error: "method_not_allowed" }, 405);
   }
+
+  return new Response("Not found", { status: 404, headers: corsHeaders() });
 }
 
-    return new Response("Not found", { status: 404, headers: corsHeaders() });
-  },
-};
+/* =========================
+   Auth (API keys, roles, quotas)
+========================= */
+
+const ROLE_RANK = { public: 1, user: 1, admin: 2 };
+const ADMIN_AUTH = { role: "admin", keyId: "admin", limits: null };
+
+// -> { role: admin|user|public|anonymous|invalid, keyId, limits: { searches, llmCalls } | null }
+async function authenticate(request, env, url) {
+  const header = request.headers.get("authorization") || "";
+  const bearer = header.match(/^Bearer\s+(\S+)$/i)?.[1] || null;
+  const token = bearer || (url.pathname === "/api/search/stream" ? url.searchParams.get("key") : null);
+
+  if (token) {
+    // Digests, not the secrets, are compared: === on the raw token would leak its prefix through timing
+    const hash = await sha256Hex(token);
+    if (env.ADMIN_TOKEN && hash === (await sha256Hex(env.ADMIN_TOKEN))) return ADMIN_AUTH;
+    const key = await apiKeyLookup(env, hash).catch(() => null);
+    return key ? authForKey(key) : { role: "invalid", keyId: null, limits: null };
+  }
+
+  return publicAuth(env) || { role: "anonymous", keyId: null, limits: null };
+}
+
+function authForKey(key) {
+  return {
+    role: key.role,
+    keyId: key.id,
+    limits: key.role === "admin" ? null : { searches: key.dailySearches, llmCalls: key.dailyLlmCalls },
+  };
+}
+
+// null when PUBLIC_DAILY_SEARCHES doesn't allow keyless requests
+function publicAuth(env) {
+  const searches = keyDefault(env.PUBLIC_DAILY_SEARCHES, 0);
+  if (!(searches > 0)) return null;
+  return { role: "public", keyId: "public", limits: { searches, llmCalls: keyDefault(env.PUBLIC_DAILY_LLM_CALLS, 0) } };
+}
+
+// Who pays for background work (tracked searches, refresh jobs): the owning key, or null once it's gone.
+// Searches saved before keys existed have no owner; only admins can see them, so they run as admin.
+async function ownerAuth(env, owner) {
+  if (!owner || owner === "admin") return ADMIN_AUTH;
+  if (owner === "public") return publicAuth(env);
+  const key = await apiKeyGet(env, owner);
+  return key ? authForKey(key) : null;
+}
+
+// null when allowed, else the 401/403 response
+function requireRole(auth, role) {
+  if (auth.role === "anonymous") return json({ error: "missing api key" }, 401);
+  if (auth.role === "invalid") return json({ error: "invalid api key" }, 401);
+  if ((ROLE_RANK[auth.role] || 0) < ROLE_RANK[role]) return json({ error: "forbidden" }, 403);
+  return null;
+}
+
+// LLM calls set aside per search: every task plus a repair or retry for each. A search that needs
+// more falls back to rules rather than eat into what parallel searches reserved.
+const LLM_CALLS_RESERVED_PER_SEARCH = 8;
+
+// Counts one search for today and reserves its LLM calls in the same DB step, so concurrent
+// searches can't all spend the same remaining budget. llmCallsLeft = this search's cap (null =
+// unlimited); pass the quota to recordLlmUsage afterwards to return what wasn't used.
+async function takeSearchQuota(env, auth) {
+  const day = quotaDay();
+  if (!auth.limits) return { ok: true, day, llmCallsLeft: null, llmCallsReserved: 0 };
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/keys-take", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({
+      keyId: auth.keyId,
+      day,
+      searchLimit: auth.limits.searches,
+      llmLimit: auth.limits.llmCalls,
+      llmReserve: LLM_CALLS_RESERVED_PER_SEARCH,
+    }),
+  });
+  const data = await r.json();
+  return {
+    ok: data.ok,
+    used: data.searches,
+    limit: auth.limits.searches,
+    day,
+    llmCallsLeft: data.llmReserved,
+    llmCallsReserved: data.llmReserved,
+  };
+}
+
+function quotaExceeded(quota) {
+  return json({ error: "quota_exceeded", quota: "searches", used: quota.used, limit: quota.limit, resetsAt: `${quotaDay(Date.now() + 86400000)}T00:00:00Z` }, 429);
+}
+
+// Settles a search's LLM calls against what takeSearchQuota reserved (unused calls go back).
+async function recordLlmUsage(env, auth, calls, quota) {
+  const delta = (calls || 0) - (quota?.llmCallsReserved || 0);
+  if (!auth.keyId || !delta) return;
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  await stub.fetch("https://do.local/keys-usage-add", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ keyId: auth.keyId, day: quota?.day || quotaDay(), llmCalls: delta }),
+  });
+}
+
+// Key quotas reset at midnight UTC
+function quotaDay(ts = Date.now()) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+function keyDefault(v, d) {
+  const n = Number(v);
+  return v != null && v !== "" && Number.isFinite(n) && n >= 0 ? Math.floor(n) : d;
+}
+
+async function sha256Hex(s) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(s));
+  return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function randomHex(bytes) {
+  return [...crypto.getRandomValues(new Uint8Array(bytes))].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// CORS_ORIGINS unset = any origin (corsHeaders default); otherwise echo an allowed Origin, drop the header for others
+function applyCors(resp, request, env) {
+  const allowed = String(env.CORS_ORIGINS || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+  if (!allowed.length || allowed.includes("*")) return resp;
+
+  const origin = request.headers.get("origin");
+  const headers = new Headers(resp.headers);
+  if (origin && allowed.includes(origin)) headers.set("access-control-allow-origin", origin);
+  else headers.delete("access-control-allow-origin");
+  headers.append("vary", "origin");
+  return new Response(resp.body, { status: resp.status, statusText: resp.statusText, headers });
+}
 
 /* =========================
    HTML UI (served from Worker)
@@ -87,12 +614,40 @@ const INDEX_HTML = `<!doctype html>
   <meta name="viewport" content="width=device-width,initial-scale=1" />
   <title>Price Hunter</title>
   <style>
-    body{font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Arial,sans-serif;margin:16px}
+    body{font-family:-apple-system,BlinkMacSystemFont,Segoe UI,Roboto,Arial,sans-serif;margin:16px;color:#222}
     .row{display:flex;gap:8px;flex-wrap:wrap}
     input,select,button{font-size:16px;padding:10px;border:1px solid #ddd;border-radius:8px}
     button{cursor:pointer}
     pre{white-space:pre-wrap;word-break:break-word;background:#fafafa;border:1px solid #eee;padding:12px;border-radius:10px}
     .small{font-size:13px;color:#666}
+    .status{margin:12px 0;font-size:14px;color:#444}
+    .strip{display:flex;gap:6px;flex-wrap:wrap;margin:8px 0}
+    .chip{font-size:12px;padding:3px 8px;border-radius:999px;border:1px solid #ddd;background:#f6f6f6}
+    .chip.ok{background:#e9f7ef;border-color:#b7e4c7}
+    .chip.err{background:#fdecea;border-color:#f5c2c0}
+    .chip.wait{color:#999}
+    .cards{display:grid;grid-template-columns:repeat(auto-fill,minmax(300px,1fr));gap:12px}
+    .card{border:1px solid #e5e5e5;border-radius:12px;padding:12px;background:#fff}
+    .card h3{font-size:15px;margin:0 0 6px}
+    .card h3 a{color:#1a4fd6;text-decoration:none}
+    .price{font-size:20px;font-weight:600}
+    .badge{display:inline-block;font-size:11px;padding:2px 7px;border-radius:6px;background:#eef;margin-right:4px;text-transform:uppercase;letter-spacing:.03em}
+    .badge.new{background:#e3f2fd}.badge.resealed{background:#fff3e0}.badge.used{background:#f3e5f5}.badge.unknown{background:#eee}
+    .badge.defect{background:#fdecea;text-transform:none}
+    .meta{font-size:13px;color:#555;margin:6px 0}
+    .bar{display:flex;align-items:center;gap:6px;font-size:12px;margin:3px 0}
+    .bar span:first-child{width:56px;color:#666}
+    .bar .track{flex:1;height:8px;background:#eee;border-radius:4px;overflow:hidden}
+    .bar .fill{height:100%;background:#4caf50}
+    table{border-collapse:collapse;width:100%;font-size:13px}
+    th,td{border:1px solid #eee;padding:6px;vertical-align:top;text-align:left}
+    th{background:#fafafa}
+    td ul{margin:0;padding-left:16px}
+    .scroll{overflow-x:auto}
+    section{margin-top:20px}
+    details{margin:6px 0}
+    summary{cursor:pointer}
+    .rec{background:#fafafa;border:1px solid #eee;padding:12px;border-radius:10px;line-height:1.45}
   </style>
 </head>
 <body>
@@ -102,53 +657,264 @@ const INDEX_HTML = `<!doctype html>
     <input id="budget" type="number" placeholder="Budget (lei)" style="width:160px" />
     <input id="min" type="number" placeholder="Min inch" style="width:120px" />
     <input id="max" type="number" placeholder="Max inch" style="width:120px" />
+    <input id="city" placeholder="City (OLX)" style="width:140px" />
+    <input id="radius" type="number" placeholder="Radius km" style="width:110px" />
     <select id="cond" style="width:150px">
       <option value="any">Any</option>
       <option value="new">New</option>
       <option value="resealed">Resealed</option>
       <option value="used">Used</option>
     </select>
+    <select id="rankBy" style="width:170px">
+      <option value="effective">Rank by effective cost</option>
+      <option value="price">Rank by sticker price</option>
+    </select>
+    <input id="apiKey" type="password" placeholder="API key" style="width:160px" />
     <button id="go">Search</button>
   </div>
-  <p class="small">Sources: Pricy, Reselecto, OLX (best-effort via Google discovery), plus reviews via Google CSE. Gemini ranks and explains differences.</p>
-  <pre id="out">Ready.</pre>
+  <p class="small">Sources: Pricy, Reselecto, eMAG, Altex, OLX (search pages, optionally limited to a city), plus reviews via Google CSE. The LLM ranks and explains differences.</p>
+
+  <div id="status" class="status">Ready.</div>
+  <div id="sources" class="strip"></div>
+
+  <section id="rankedSec" hidden>
+    <h3>Ranked</h3>
+    <div id="cards" class="cards"></div>
+  </section>
+
+  <section id="compareSec" hidden>
+    <h3>Comparison</h3>
+    <div id="compare" class="scroll"></div>
+  </section>
+
+  <section id="recSec" hidden>
+    <h3>Recommendation</h3>
+    <div id="rec" class="rec"></div>
+  </section>
+
+  <section id="reviewsSec" hidden>
+    <h3>Reviews</h3>
+    <div id="reviews"></div>
+  </section>
+
+  <section>
+    <details>
+      <summary class="small">Raw JSON</summary>
+      <pre id="out"></pre>
+    </details>
+  </section>
 
 <script>
-const out = document.getElementById('out');
-const qEl = document.getElementById('q');
-const bEl = document.getElementById('budget');
-const minEl = document.getElementById('min');
-const maxEl = document.getElementById('max');
-const cEl = document.getElementById('cond');
-const go = document.getElementById('go');
-
-async function run() {
+const $ = (id) => document.getElementById(id);
+const qEl = $('q');
+const bEl = $('budget');
+const minEl = $('min');
+const maxEl = $('max');
+const cityEl = $('city');
+const radiusEl = $('radius');
+const rankByEl = $('rankBy');
+const keyEl = $('apiKey');
+keyEl.value = localStorage.getItem("apiKey") || "";
+keyEl.addEventListener("change", () => localStorage.setItem("apiKey", keyEl.value.trim()));
+const cEl = $('cond');
+const go = $('go');
+
+const SOURCE_NAMES = ["pricy", "reselecto", "emag", "altex", "olx"];
+
+function esc(s) {
+  return String(s == null ? "" : s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+function lei(n) {
+  return n == null ? "n/a" : Math.round(n).toLocaleString("ro-RO") + " lei";
+}
+
+function list(items) {
+  if (!items || !items.length) return '<span class="small">–</span>';
+  return "<ul>" + items.map((x) => "<li>" + esc(x) + "</li>").join("") + "</ul>";
+}
+
+function negotiableText(v) {
+  return v === true ? "yes" : v === false ? "no" : "unknown";
+}
+
+function bar(label, value) {
+  const v = Math.max(0, Math.min(100, Number(value) || 0));
+  return '<div class="bar"><span>' + label + '</span><div class="track"><div class="fill" style="width:' + v + '%"></div></div><span>' + Math.round(v) + "</span></div>";
+}
+
+function renderSources(sources) {
+  $('sources').innerHTML = SOURCE_NAMES.concat(Object.keys(sources).filter((k) => !SOURCE_NAMES.includes(k)))
+    .map((name) => {
+      const s = sources[name];
+      if (!s) return '<span class="chip wait">' + esc(name) + " …</span>";
+      const cls = s.ok ? "ok" : "err";
+      const title = s.error ? ' title="' + esc(s.error) + '"' : "";
+      return '<span class="chip ' + cls + '"' + title + ">" + esc(name) + " · " + (s.ok ? s.count : "error") + "</span>";
+    })
+    .join("");
+}
+
+function renderCards(top) {
+  $('rankedSec').hidden = !top.length;
+  $('cards').innerHTML = top
+    .map((it, i) => {
+      const cond = it.condition || "unknown";
+      const offers = it.offers && it.offers.length > 1
+        ? "<details><summary class=\\"small\\">" + it.offers.length + " offers" +
+          (it.spreadRON != null ? " · new/resealed/used spread " + lei(it.spreadRON) : "") + "</summary><table>" +
+          it.offers.map((o) => "<tr><td>" + esc(o.source || "") + "</td><td>" + esc(o.condition || "") + "</td><td>" + lei(o.priceRON) +
+            '</td><td><a href="' + esc(o.link) + '" target="_blank" rel="noopener">open</a></td></tr>').join("") +
+          "</table></details>"
+        : "";
+      return '<div class="card">' +
+        '<h3>#' + (i + 1) + ' <a href="' + esc(it.link) + '" target="_blank" rel="noopener">' + esc(it.title || it.link) + "</a></h3>" +
+        '<div class="price">' + lei(it.priceRON) + "</div>" + costText(it) +
+        '<div class="meta"><span class="badge">' + esc(it.source || "?") + '</span><span class="badge ' + esc(cond) + '">' + esc(cond) + "</span>" +
+        (it.sizeInch ? " " + esc(it.sizeInch) + "\\"" : "") + (it.panelType && it.panelType !== "unknown" ? " · " + esc(it.panelType.toUpperCase()) : "") +
+        " · negotiable: " + negotiableText(it.negotiable) + "</div>" +
+        (specsText(it.specs) ? '<div class="meta">' + specsText(it.specs) + "</div>" : "") +
+        '<div class="meta">' + locationText(it) + "</div>" +
+        bar("Overall", it.overallScore) + bar("Value", it.valueScore) +
+        ((it.defects || []).length ? '<div class="meta">' + it.defects.map((d) => '<span class="badge defect">' + esc(d) + "</span>").join("") + "</div>" : "") +
+        offers +
+        "</div>";
+    })
+    .join("");
+}
+
+// Category specs other than size/panel (already on the card): CPU, RAM, storage, battery, ANC...
+const SPEC_LABELS = { cpu: "", ramGb: " GB RAM", storageGb: " GB storage", batteryHealthPct: "% battery", audioType: "", wireless: "wireless", anc: "ANC" };
+
+function specsText(specs) {
+  return Object.entries(specs || {})
+    .filter(([k, v]) => k in SPEC_LABELS && v != null && v !== false)
+    .map(([k, v]) => esc(v === true ? SPEC_LABELS[k] : v + SPEC_LABELS[k]))
+    .join(" · ");
+}
+
+function costText(it) {
+  if (it.effectiveCostRON == null || it.effectiveCostRON === it.priceRON) return "";
+  const parts = [];
+  if (it.shippingRON) parts.push("shipping/pickup " + lei(it.shippingRON));
+  if (it.riskPremiumRON) parts.push("no-warranty risk " + lei(it.riskPremiumRON));
+  return '<div class="meta">≈ ' + lei(it.effectiveCostRON) + " all-in (" + esc(parts.join(", ")) + ")</div>";
+}
+
+function locationText(it) {
+  const where = it.city ? esc(it.city) + (it.distanceKm != null ? " (" + it.distanceKm + " km)" : "") : "location unknown";
+  const ship = it.shipping === true ? "ships" : it.shipping === false ? "pickup only" : "shipping unknown";
+  return where + " · " + ship;
+}
+
+function renderCompare(top) {
+  const cols = top.slice(0, 5);
+  $('compareSec').hidden = !cols.length;
+  if (!cols.length) return;
+  const row = (label, fn) => "<tr><th>" + label + "</th>" + cols.map((c) => "<td>" + fn(c) + "</td>").join("") + "</tr>";
+  $('compare').innerHTML = "<table>" +
+    "<tr><th></th>" + cols.map((c, i) => "<th>#" + (i + 1) + " " + esc(c.title || "") + "</th>").join("") + "</tr>" +
+    row("Price", (c) => lei(c.priceRON)) +
+    row("Effective cost", (c) => (c.effectiveCostRON != null ? lei(c.effectiveCostRON) : "?")) +
+    row("Warranty", (c) => (c.warrantyMonths != null ? c.warrantyMonths + " months" : "?")) +
+    row("Condition", (c) => esc(c.condition || "unknown")) +
+    row("Size / panel", (c) => esc((c.sizeInch ? c.sizeInch + "\\" " : "") + (c.panelType || ""))) +
+    row("Location", (c) => locationText(c)) +
+    row("Differences", (c) => list(c.differences)) +
+    row("Pros", (c) => list(c.pros)) +
+    row("Cons", (c) => list(c.cons)) +
+    "</table>";
+}
+
+// Minimal markdown: headings, bullets, **bold**, paragraphs.
+function renderRecommendation(text) {
+  $('recSec').hidden = !text;
+  if (!text) return;
+  let html = "";
+  let inList = false;
+  for (const raw of String(text).split(/\\r?\\n/)) {
+    const line = esc(raw.trim()).replace(/\\*\\*(.+?)\\*\\*/g, "<strong>$1</strong>");
+    const bullet = line.match(/^(?:[-*•]|\\d+[.)])\\s+(.*)$/);
+    if (bullet) {
+      if (!inList) { html += "<ul>"; inList = true; }
+      html += "<li>" + bullet[1] + "</li>";
+      continue;
+    }
+    if (inList) { html += "</ul>"; inList = false; }
+    if (!line) continue;
+    const h = line.match(/^#{1,6}\\s+(.*)$/);
+    html += h ? "<h4>" + h[1] + "</h4>" : "<p>" + line + "</p>";
+  }
+  if (inList) html += "</ul>";
+  $('rec').innerHTML = html;
+}
+
+function renderReviews(reviews) {
+  const items = (reviews && reviews.items) || [];
+  $('reviewsSec').hidden = !items.length;
+  $('reviews').innerHTML = items
+    .map((r) => "<details><summary>" + esc(r.model) + " (" + (r.sources || []).length + " sources)</summary><ul>" +
+      (r.sources || []).map((s) => '<li><a href="' + esc(s.link) + '" target="_blank" rel="noopener">' + esc(s.title || s.link) + "</a>" +
+        (s.snippet ? '<div class="small">' + esc(s.snippet) + "</div>" : "") + "</li>").join("") +
+      "</ul></details>")
+    .join("");
+}
+
+function renderAll(result) {
+  renderSources(result.sources || {});
+  renderCards(result.top || []);
+  renderCompare(result.top || []);
+  renderRecommendation(result.recommendation);
+  renderReviews(result.reviews);
+  $('out').textContent = JSON.stringify(result, null, 2);
+}
+
+function run() {
   const q = qEl.value.trim();
-  if (!q) { out.textContent = "Enter a query."; return; }
+  if (!q) { $('status').textContent = "Enter a query."; return; }
 
   const params = new URLSearchParams();
   params.set("q", q);
   if (bEl.value) params.set("budget", bEl.value);
   if (minEl.value) params.set("sizeMin", minEl.value);
   if (maxEl.value) params.set("sizeMax", maxEl.value);
+  if (cityEl.value.trim()) params.set("city", cityEl.value.trim());
+  if (radiusEl.value) params.set("radiusKm", radiusEl.value);
+  params.set("rankBy", rankByEl.value);
   if (cEl.value) params.set("condition", cEl.value);
+  if (keyEl.value.trim()) params.set("key", keyEl.value.trim());
 
-  out.textContent = "Searching…";
+  $('status').textContent = "Searching…";
   go.disabled = true;
+  renderAll({});
+
+  // Stages arrive one by one over SSE; render each as soon as it lands.
+  const sources = {};
+  const es = new EventSource("/api/search/stream?" + params.toString());
+  const onStage = (stage, fn) => es.addEventListener(stage, (ev) => {
+    $('status').textContent = "Searching… (" + stage + " done)";
+    fn(JSON.parse(ev.data));
+  });
 
-  try {
-    const r = await fetch("/api/search?" + params.toString());
-    const txt = await r.text();
-    if (!r.ok) {
-      out.textContent = "API error " + r.status + "\\n" + txt;
-      return;
-    }
-    out.textContent = txt;
-  } catch (e) {
-    out.textContent = "Network error: " + (e?.message || String(e));
-  } finally {
-    go.disabled = false;
+  for (const name of SOURCE_NAMES) {
+    onStage(name, (s) => { sources[name] = s; renderSources(sources); });
   }
+  onStage("ranked", (d) => { renderCards(d.top || []); renderCompare(d.top || []); });
+  onStage("reviews", renderReviews);
+  onStage("recommendation", (d) => renderRecommendation(d.recommendation));
+
+  es.addEventListener("done", (ev) => {
+    es.close();
+    go.disabled = false;
+    const result = JSON.parse(ev.data);
+    renderAll(result);
+    $('status').textContent = "Done" + (result.cache && result.cache.hit ? " (cached, " + result.cache.ageSec + "s old)" : "") + ".";
+  });
+  es.addEventListener("error", (ev) => {
+    es.close();
+    go.disabled = false;
+    $('status').textContent = "Error: " + (ev.data ? JSON.parse(ev.data).message : "connection lost (missing API key or quota used up?)");
+  });
 }
 
 go.addEventListener("click", run);
@@ -161,8 +927,16 @@ qEl.addEventListener("keydown", (e) => { if (e.key === "Enter") run(); });
    Core: caching + pipeline
 ========================= */
 
-async function runSearchWithCache(env, input) {
-  const intent = await geminiIntent(env, input);
+// opts.onStage(stage, data) is called as each pipeline stage finishes (used by the SSE endpoint).
+// opts.fresh skips every cache read (intent, result, sources, details, LLM); results are still written.
+// opts.waitUntil(promise), when given, lets alert webhooks finish after the response instead of before it.
+async function runSearchWithCache(env, input, opts = {}) {
+  // Callers that enforce an LLM quota pass their own usage (with .limit) and read .calls afterwards
+  const usage = opts.usage || newLlmUsage(env);
+  const steps = [];
+  const fresh = Boolean(opts.fresh);
+  const intent = await geminiIntent(env, input, { usage, steps, fresh });
+  opts.onStage?.("intent", { intent });
 
   const cacheKey = stableKeyFromObj({
     q: intent?.search_query || input.q,
@@ -171,63 +945,93 @@ async function runSearchWithCache(env, input) {
     sizeMax: intent?.size_max ?? input.sizeMax ?? null,
     category: intent?.category ?? null,
     condition_ok: intent?.condition_ok ?? null,
+    city: input.city ?? null,
+    radiusKm: input.radiusKm ?? null,
+    region: input.region ?? null,
+    rankBy: input.rankBy || "effective",
   });
 
-  // cache TTL: 20 minutes
-  const cached = await cacheGet(env, cacheKey);
-  if (cached?.ts && Date.now() - cached.ts < 20 * 60 * 1000) {
-    return { ...cached.result, cache: { hit: true, key: cacheKey, ageSec: Math.floor((Date.now() - cached.ts) / 1000) } };
+  const cached = fresh ? null : await cacheGet(env, "result", cacheKey);
+  if (cached) {
+    return { ...cached.value, cache: { hit: true, key: cacheKey, ageSec: Math.floor((Date.now() - cached.ts) / 1000) } };
   }
 
-  const result = await runSearchPipeline(env, input, intent);
+  const result = await runSearchPipeline(env, input, intent, { usage, steps, fresh, onStage: opts.onStage, waitUntil: opts.waitUntil });
 
-  await cachePut(env, cacheKey, { ts: Date.now(), result });
+  await cachePut(env, "result", cacheKey, result);
 
   return { ...result, cache: { hit: false, key: cacheKey } };
 }
 
-async function runSearchPipeline(env, input, intent) {
+async function runSearchPipeline(env, input, intent, opts = {}) {
   const startedAt = new Date().toISOString();
-  const debug = { startedAt, input, steps: [] };
+  const usage = opts.usage || newLlmUsage(env);
+  const debug = { startedAt, input, steps: opts.steps || [], llm: usage };
+  const emit = (stage, data) => {
+    try {
+      opts.onStage?.(stage, data);
+    } catch {}
+  };
 
   const searchQuery = intent?.search_query || input.q;
 
-  // 1) Crawl: Pricy + Reselecto
-  const [pricy, reselecto] = await Promise.all([
-    searchPricy(searchQuery).catch((e) => ({ error: String(e?.message || e), items: [] })),
-    searchReselecto(searchQuery).catch((e) => ({ error: String(e?.message || e), items: [] })),
-  ]);
-
-  debug.steps.push({ name: "pricy", ok: !pricy.error, count: pricy.items?.length || 0, error: pricy.error || null });
-  debug.steps.push({ name: "reselecto", ok: !reselecto.error, count: reselecto.items?.length || 0, error: reselecto.error || null });
-
-  // 2) Discover OLX listings via Google CSE (best-effort)
-  const olxDiscovery = await discoverOlxListings(env, intent, input).catch((e) => ({ error: String(e?.message || e), items: [] }));
-  debug.steps.push({ name: "olx_discovery", ok: !olxDiscovery.error, count: olxDiscovery.items?.length || 0, error: olxDiscovery.error || null });
+  // 1) Crawl every registered source (search, then optional detail fetch)
+  const crawled = await Promise.all(
+    SOURCE_ADAPTERS.map((a) =>
+      runSourceAdapter(a, { env, intent, input, query: searchQuery, fresh: Boolean(opts.fresh), onStage: emit }).then((c) => {
+        emit(c.name, { ok: !c.error, count: c.items.length, error: c.error, queryUrl: c.queryUrl, items: c.items });
+        return c;
+      })
+    )
+  );
+  for (const c of crawled) debug.steps.push(...c.steps);
+
+  // Per-source yield for /api/health (live crawls only: a cache hit says nothing about today's markup)
+  await sourceHealthRecord(env, crawled.filter((c) => !c.cached)).catch(() => {});
+
+  // 2) Merge candidates
+  let candidates = crawled.flatMap((c) => c.items.map((x) => ({ ...x, source: c.name })));
+
+  // Pickup distance from the user's city + whether the listing ships
+  const origin = localityCoords(input.city);
+  const radiusKm = searchRadiusKm(input);
+  candidates = candidates.map((c) => ({ ...c, ...candidateLocation(c, origin, radiusKm) }));
+  if (input.city) {
+    debug.steps.push({
+      name: "location",
+      ok: Boolean(origin),
+      count: candidates.filter((c) => c.distanceKm != null).length,
+      error: origin ? null : "unknown_city",
+    });
+  }
 
-  // 3) Fetch listing pages for used candidates (OLX) to extract descriptions (limited)
-  const olxDetails = await fetchListingDetails(env, olxDiscovery.items || []).catch((e) => ({ error: String(e?.message || e), items: [] }));
-  debug.steps.push({ name: "olx_details", ok: !olxDetails.error, count: olxDetails.items?.length || 0, error: olxDetails.error || null });
+  // Category specs (size/panel, CPU/RAM/SSD, storage/battery, ANC, ...) from title + text
+  const profile = categoryProfile(intent?.category);
+  candidates = candidates.map((c) => ({ ...c, specs: profile.specs(c) }));
 
-  // 4) Merge candidates
-  let candidates = [
-    ...(pricy.items || []).map((x) => ({ ...x, source: "pricy" })),
-    ...(reselecto.items || []).map((x) => ({ ...x, source: "reselecto" })),
-    ...(olxDetails.items || []).map((x) => ({ ...x, source: "olx" })),
-  ];
+  // Effective cost = price + shipping/pickup + risk premium for missing warranty
+  const costs = costSettings(env);
+  candidates = candidates.map((c) => ({ ...c, ...candidateCost(c, costs, input.rankBy) }));
 
   // Basic filters
   candidates = candidates
     .filter((c) => c?.link && (c.title || c.rawText || c.snippet))
+    .filter((c) => c.inStock !== false)
     .filter((c) => {
       // Drop obvious accessories if user wants a main device
       if (intent?.category && intent.category !== "accessory") {
-        if (looksLikeAccessory(c.title)) return false;
+        if (looksLikeAccessory(c.title, intent.category)) return false;
       }
       return true;
     })
     .filter((c) => !looksBadCondition(`${c.title || ""} ${c.rawText || ""} ${c.snippet || ""}`));
 
+  // Append every priced candidate to the price history (best-effort)
+  const seenPrices = candidates.filter((c) => c.priceRON != null);
+  await historyAppend(env, seenPrices)
+    .then(() => debug.steps.push({ name: "history", ok: true, count: seenPrices.length, error: null }))
+    .catch((e) => debug.steps.push({ name: "history", ok: false, count: 0, error: String(e?.message || e) }));
+
   // Apply Gemini exclusions if provided
   if (intent?.must_exclude?.length) {
     const ex = intent.must_exclude.map((x) => String(x).toLowerCase());
@@ -237,29 +1041,41 @@ async function runSearchPipeline(env, input, intent) {
     });
   }
 
-  // 5) Extract listing facts for top N (defects, negotiable, condition, size)
+  // 3) Extract listing facts for top N (defects, negotiable, condition, size)
   const topForFacts = candidates.slice(0, 12);
-  const facts = await geminiExtractListingFacts(env, topForFacts, intent);
+  const facts = await geminiExtractListingFacts(env, topForFacts, intent, { usage, steps: debug.steps, fresh: opts.fresh });
   const factsByLink = new Map((facts || []).map((x) => [x.link, x]));
-  candidates = candidates.map((c) => ({ ...c, ...(factsByLink.get(c.link) || {}) }));
-
-  // 6) Score + differences + pros/cons
-  const scored = await geminiScoreCandidates(env, candidates.slice(0, 20), intent);
-  const ranked = (scored?.items || [])
-    .map((it) => ({ ...it, hardFit: hardFitScore(it, intent) }))
+  candidates = candidates.map((c) => mergeListingFacts(c, factsByLink.get(c.link)));
+  emit("facts", { items: facts || [] });
+
+  // 4) Score + differences + pros/cons
+  const scored = await geminiScoreCandidates(env, candidates.slice(0, 20), intent, { usage, steps: debug.steps, fresh: opts.fresh });
+  debug.steps.push({ name: "score", ok: true, count: scored?.items?.length || 0, method: scored?.scoredBy || null, error: null });
+  const candidateByLink = new Map(candidates.map((c) => [c.link, c]));
+  const rankedRows = (scored?.items || [])
+    .map((it) => {
+      const c = candidateByLink.get(it.link);
+      const row = { ...it, source: it.source || c?.source || null, specs: c?.specs ?? null, ...locationFields(c), ...costFields(c) };
+      return { ...row, hardFit: hardFitScore(row, intent) };
+    })
     .sort((a, b) => {
       const ao = (b.overallScore || 0) - (a.overallScore || 0);
       if (ao) return ao;
       const av = (b.valueScore || 0) - (a.valueScore || 0);
       if (av) return av;
-      return (a.priceRON || 1e18) - (b.priceRON || 1e18);
-    })
-    .slice(0, 10);
+      return (a.comparePriceRON || a.priceRON || 1e18) - (b.comparePriceRON || b.priceRON || 1e18);
+    });
+
+  // Same product from several sources -> one group carrying all its offers
+  const ranked = groupOffers(rankedRows).slice(0, 10);
+  emit("ranked", { top: ranked, scoredBy: scored?.scoredBy || null });
 
-  // 7) Reviews via Google CSE for top 3
-  const reviews = await fetchReviewsForTop(env, ranked, intent);
+  // 5) Reviews via Google CSE for top 3
+  const reviews = await fetchReviewsForTop(env, ranked, intent, { fresh: opts.fresh });
+  debug.steps.push({ name: "reviews", ok: !reviews.error, count: reviews.items?.length || 0, error: reviews.error || null });
+  emit("reviews", reviews);
 
-  // 8) Final recommendation text
+  // 6) Final recommendation text
   let recommendation = null;
 try {
   const rankedSmall = (ranked || []).slice(0, 5).map(x => ({
@@ -288,11 +1104,17 @@ try {
     intent,
     ranked: rankedSmall,
     reviews: { items: reviewsSmall },
-  });
+  }, { usage, fresh: opts.fresh });
 } catch (e) {
   recommendation = null;
   debug.steps.push({ name: "final_recommendation_failed", error: String(e?.message || e) });
 }
+  emit("recommendation", { recommendation });
+
+  // 7) Price alerts (webhooks) for this run's candidates; delivered = null while they're sent in the background
+  await checkAlerts(env, input, intent, candidates, { waitUntil: opts.waitUntil })
+    .then((r) => debug.steps.push({ name: "alerts", ok: true, count: r.claimed, delivered: r.delivered, error: null }))
+    .catch((e) => debug.steps.push({ name: "alerts", ok: false, count: 0, delivered: 0, error: String(e?.message || e) }));
 
   return {
     q: input.q,
@@ -300,11 +1122,9 @@ try {
     top: ranked,
     reviews,
     recommendation,
-    sources: {
-      pricy: { ok: !pricy.error, count: pricy.items?.length || 0, error: pricy.error || null, queryUrl: pricy.queryUrl || null },
-      reselecto: { ok: !reselecto.error, count: reselecto.items?.length || 0, error: reselecto.error || null, queryUrl: reselecto.queryUrl || null },
-      olx: { ok: !olxDetails.error, count: olxDetails.items?.length || 0, error: olxDetails.error || null },
-    },
+    sources: Object.fromEntries(
+      crawled.map((c) => [c.name, { ok: !c.error, count: c.items.length, error: c.error, queryUrl: c.queryUrl }])
+    ),
     debug,
     ts: new Date().toISOString(),
     build: "price-hunter-auto-v1",
@@ -312,383 +1132,2582 @@ try {
 }
 
 /* =========================
-   Hard-fit scoring (deterministic)
+   Saved searches (cron tracking)
 ========================= */
 
-function hardFitScore(it, intent) {
-  let s = 0;
+// Each tick re-runs the searches that were checked least recently; a full pipeline
+// is ~30 subrequests, so a handful per tick keeps us inside Worker limits.
+const TRACK_PER_TICK = 3;
+// Saved searches one (non-admin) key may own; each re-runs every few ticks on the owner's quota.
+const SAVED_SEARCHES_PER_KEY = 20;
+// Cap on remembered links per saved search (oldest lastSeen dropped first).
+const TRACK_SEEN_MAX = 500;
+
+async function runTrackedSearches(env) {
+  const searches = await savedSearchesList(env);
+  const due = searches
+    .sort((a, b) => String(a.lastCheckedAt || "").localeCompare(String(b.lastCheckedAt || "")))
+    .slice(0, TRACK_PER_TICK);
+
+  for (const s of due) {
+    const ts = new Date().toISOString();
+    // Each run is a search on the owner's quota, like /api/search; out of quota = skipped until tomorrow
+    const auth = await ownerAuth(env, s.owner).catch(() => null);
+    if (!auth) {
+      await savedSearchRecordRun(env, s.id, { ts, error: "owner_key_missing" });
+      continue;
+    }
+    const quota = await takeSearchQuota(env, auth).catch(() => ({ ok: false }));
+    if (!quota.ok) {
+      await savedSearchRecordRun(env, s.id, { ts, error: "quota_exceeded" });
+      continue;
+    }
 
-  if (intent?.budget_lei != null && it.priceRON != null) {
-    if (it.priceRON <= intent.budget_lei) s += 20;
-    else s -= clamp((it.priceRON - intent.budget_lei) / 50, 0, 35);
+    const usage = newLlmUsage(env);
+    usage.limit = quota.llmCallsLeft;
+    try {
+      const steps = [];
+      const intent = await geminiIntent(env, s.input, { usage, steps });
+      // Tracking is about what changed since last tick: never reuse cached crawl results
+      const result = await runSearchPipeline(env, s.input, intent, { usage, steps, fresh: true });
+      await savedSearchRecordRun(env, s.id, { ts, listings: listingsFromResult(result) });
+    } catch (e) {
+      await savedSearchRecordRun(env, s.id, { ts, error: String(e?.message || e) });
+    } finally {
+      await recordLlmUsage(env, auth, usage.calls, quota).catch(() => {});
+    }
   }
+}
 
-  if (intent?.size_min != null && it.sizeInch != null) {
-    if (it.sizeInch >= intent.size_min) s += 5;
-    else s -= 10;
-  }
-  if (intent?.size_max != null && it.sizeInch != null) {
-    if (it.sizeInch <= intent.size_max) s += 5;
-    else s -= 10;
-  }
+function listingsFromResult(result) {
+  return (result?.top || [])
+    .flatMap((g) => g.offers || [g])
+    .filter((x) => x?.link)
+    .map((x) => ({ link: x.link, title: x.title || null, priceRON: x.priceRON ?? null, source: x.source || null }));
+}
 
-  if ((intent?.must_have || []).some((x) => String(x).toLowerCase().includes("oled"))) {
-    const t = `${it.title || ""} ${it.canonical || ""}`.toLowerCase();
-    if (t.includes("oled")) s += 10;
-    else s -= 15;
+// Compare a run's listings against everything seen before for that search.
+// Returns the updated seen map plus what is new, what changed price (cheaper = drops only)
+// and what was in the previous run but not this one.
+function diffTrackedListings(seen, listings, ts) {
+  const next = { ...(seen || {}) };
+  const newListings = [];
+  const cheaper = [];
+  const priceChanges = [];
+
+  const previousRunTs = Object.values(next).reduce((max, x) => (String(x.lastSeen) > max ? String(x.lastSeen) : max), "");
+  const current = new Set((listings || []).map((x) => x.link));
+  const disappeared = Object.entries(next)
+    .filter(([link, x]) => previousRunTs && String(x.lastSeen) === previousRunTs && !current.has(link))
+    .map(([link, x]) => ({ link, title: x.title, priceRON: x.priceRON, source: x.source }));
+
+  for (const it of listings || []) {
+    const prev = next[it.link];
+    if (!prev) {
+      newListings.push(it);
+    } else if (it.priceRON != null && prev.priceRON != null && it.priceRON !== prev.priceRON) {
+      const change = { ...it, previousPriceRON: prev.priceRON, deltaRON: it.priceRON - prev.priceRON };
+      priceChanges.push(change);
+      if (it.priceRON < prev.priceRON) cheaper.push(change);
+    }
+    next[it.link] = {
+      title: it.title,
+      priceRON: it.priceRON ?? prev?.priceRON ?? null,
+      source: it.source,
+      firstSeen: prev?.firstSeen || ts,
+      lastSeen: ts,
+    };
   }
 
-  if (it.defects?.length) s -= clamp(it.defects.length * 5, 0, 25);
+  const links = Object.keys(next);
+  if (links.length > TRACK_SEEN_MAX) {
+    links
+      .sort((a, b) => String(next[a].lastSeen).localeCompare(String(next[b].lastSeen)))
+      .slice(0, links.length - TRACK_SEEN_MAX)
+      .forEach((k) => delete next[k]);
+  }
 
-  return s;
+  return { seen: next, newListings, cheaper, priceChanges, disappeared };
 }
 
-/* =========================
-   Source: Pricy
-========================= */
-
-async function searchPricy(q) {
-  const queryUrl = `https://www.pricy.ro/productsv2/magazin-storel.ro/generic-color-verde?q=${encodeURIComponent(q)}`;
-  const resp = await fetchWithTimeout(queryUrl, {
-    headers: { "user-agent": "Mozilla/5.0", "accept-language": "ro-RO,ro;q=0.9" },
-  });
+function publicSavedSearch(s) {
+  const { seen, ...rest } = s || {};
+  return { ...rest, trackedCount: Object.keys(seen || {}).length };
+}
 
-  if (!resp.ok) return { error: `pricy_http_${resp.status}`, queryUrl, items: [] };
-  const html = await resp.text();
+// listings row -> API shape
+function publicListingRow(r) {
+  const iso = (ts) => (ts ? new Date(ts).toISOString() : null);
+  return {
+    link: r.link,
+    source: r.source,
+    title: r.title,
+    status: r.status,
+    statusAt: iso(r.status_at),
+    firstSeen: iso(r.first_seen),
+    lastSeen: iso(r.last_seen),
+    lastChecked: iso(r.last_checked),
+    // Until the ad is seen gone, this is a lower bound
+    daysUp: Math.round((r.last_seen - r.first_seen) / 864e5 * 10) / 10,
+    priceRON: r.price_ron,
+    seller: r.seller,
+    relistOf: r.relist_of,
+  };
+}
 
-  const items = [];
-  const re = /href="([^"]+)"[\s\S]{0,500}?(\d[\d.\s]{2,})\s*lei/gi;
+// api_keys row -> API shape (the hash never leaves DB)
+function publicApiKeyRow(r) {
+  return {
+    id: r.id,
+    name: r.name,
+    role: r.role,
+    dailySearches: r.daily_searches,
+    dailyLlmCalls: r.daily_llm_calls,
+    createdAt: r.created_at,
+  };
+}
 
-  let m;
-  while ((m = re.exec(html)) && items.length < 120) {
-    const hrefRaw = m[1] || "";
-    const priceRON = parseInt(m[2].replace(/\s+/g, "").replace(/\./g, ""), 10);
-    if (!Number.isFinite(priceRON) || priceRON <= 0) continue;
+// Identity of a search request (intent cache key, job coalescing).
+function searchInputKey(input) {
+  return stableKeyFromObj({
+    q: normalizeText(input.q).toLowerCase(),
+    budget: input.budget ?? null,
+    sizeMin: input.sizeMin ?? null,
+    sizeMax: input.sizeMax ?? null,
+    condition: input.condition || "any",
+    city: input.city ?? null,
+    radiusKm: input.radiusKm ?? null,
+    region: input.region ?? null,
+    rankBy: input.rankBy || "effective",
+  });
+}
 
-    const link = hrefRaw.startsWith("http") ? hrefRaw : new URL(hrefRaw, "https://www.pricy.ro").toString();
-    const u = safeUrl(link);
-    if (!u) continue;
-    if (!["pricy.ro", "www.pricy.ro"].includes(u.hostname)) continue;
-    if (!u.pathname.includes("/ProductUrlId/")) continue;
+function normalizeSearchInput(raw) {
+  return {
+    q: normalizeText(String(raw?.q ?? "")),
+    budget: numOrNull(raw?.budget),
+    sizeMin: numOrNull(raw?.sizeMin),
+    sizeMax: numOrNull(raw?.sizeMax),
+    condition: String(raw?.condition || "any").trim().toLowerCase(),
+    city: olxLocationSlug(raw?.city),
+    radiusKm: numOrNull(raw?.radiusKm),
+    region: olxLocationSlug(raw?.region),
+    rankBy: String(raw?.rankBy || "").trim().toLowerCase() === "price" ? "price" : "effective",
+  };
+}
 
-    const title = titleFromPricyPath(u.pathname);
+/* =========================
+   Watchlists (named groups of searches + pinned listings)
+========================= */
 
-    items.push({ title: title || null, link: u.toString(), priceRON });
+// A refresh job runs the searches one after another, then reads the pins; these bound its length
+// and how much of the caller's quota one refresh can spend.
+const WATCHLIST_MAX_SEARCHES = 10;
+const WATCHLIST_MAX_PINS = 25;
+
+// body.searches: [{ name?, q, budget, ... }], body.pins: [link | { link, note }].
+// Items matching an existing one (same search input / same link) keep their tracking state.
+// -> { searches, pins } or { error }
+function normalizeWatchlistItems(body, previous) {
+  const out = {};
+
+  if (body?.searches !== undefined) {
+    if (!Array.isArray(body.searches)) return { error: "searches must be an array" };
+    if (body.searches.length > WATCHLIST_MAX_SEARCHES) return { error: `at most ${WATCHLIST_MAX_SEARCHES} searches` };
+    const byKey = new Map((previous?.searches || []).map((x) => [searchInputKey(x.input), x]));
+    out.searches = [];
+    for (const raw of body.searches) {
+      const input = normalizeSearchInput(raw);
+      if (!input.q) return { error: "every search needs q" };
+      const key = searchInputKey(input);
+      if (out.searches.some((x) => searchInputKey(x.input) === key)) continue;
+      const prev = byKey.get(key);
+      out.searches.push({
+        id: prev?.id || crypto.randomUUID(),
+        name: normalizeText(String(raw?.name || "")).slice(0, 120) || prev?.name || input.q,
+        input,
+        seen: prev?.seen || {},
+        lastRun: prev?.lastRun || null,
+      });
+    }
   }
 
-  const best = new Map();
-  for (const it of items) {
-    const prev = best.get(it.link);
-    if (!prev || it.priceRON < prev.priceRON) best.set(it.link, it);
+  if (body?.pins !== undefined) {
+    if (!Array.isArray(body.pins)) return { error: "pins must be an array" };
+    if (body.pins.length > WATCHLIST_MAX_PINS) return { error: `at most ${WATCHLIST_MAX_PINS} pins` };
+    const byLink = new Map((previous?.pins || []).map((x) => [x.link, x]));
+    out.pins = [];
+    for (const raw of body.pins) {
+      const link = watchlistPinLink(typeof raw === "string" ? raw : raw?.link);
+      if (!link) return { error: "every pin needs an http(s) link" };
+      if (out.pins.some((x) => x.link === link)) continue;
+      const prev = byLink.get(link);
+      out.pins.push({
+        link,
+        note: normalizeText(String(raw?.note ?? prev?.note ?? "")).slice(0, 200) || null,
+        addedAt: prev?.addedAt || new Date().toISOString(),
+        last: prev?.last || null,
+      });
+    }
   }
 
-  return { queryUrl, items: [...best.values()].sort((a, b) => a.priceRON - b.priceRON).slice(0, 10) };
+  return out;
 }
 
-function titleFromPricyPath(pathname) {
-  const parts = (pathname || "").split("/").filter(Boolean);
-  const idx = parts.findIndex((p) => p === "ProductUrlId");
-  if (idx === -1) return null;
-  const slug = parts[idx + 2] || "";
-  if (!slug) return null;
-  return decodeURIComponent(slug).replace(/[-_]+/g, " ").replace(/\s+/g, " ").trim();
+function watchlistPinLink(raw) {
+  try {
+    const u = new URL(String(raw || "").trim());
+    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+    return u.hostname.endsWith("olx.ro") ? olxCanonicalLink(u.href) : u.href;
+  } catch {
+    return null;
+  }
 }
 
-/* =========================
-   Source: Reselecto (heuristic)
-========================= */
+function publicWatchlist(w) {
+  return {
+    ...w,
+    searches: (w.searches || []).map(({ seen, ...rest }) => ({ ...rest, trackedCount: Object.keys(seen || {}).length })),
+  };
+}
 
-async function searchReselecto(q) {
-  const queryUrl = `https://www.reselecto.ro/?s=${encodeURIComponent(q)}&post_type=product`;
+// Re-runs each search (quota permitting) and re-reads each pinned listing; opts.onItem(kind, id) after each.
+// -> { searches: [{ id, listings } | { id, error }], pins: [{ link, status, httpStatus, title, priceRON }] }
+async function refreshWatchlist(env, watchlist, auth, opts = {}) {
+  const searches = [];
+  for (const s of watchlist.searches || []) {
+    opts.onItem?.("search", s.id);
+    const quota = await takeSearchQuota(env, auth);
+    if (!quota.ok) {
+      searches.push({ id: s.id, error: "quota_exceeded" });
+      continue;
+    }
+    const usage = newLlmUsage(env);
+    usage.limit = quota.llmCallsLeft;
+    try {
+      // A refresh reports what changed since the last one: cached results would hide exactly that
+      const result = await runSearchWithCache(env, s.input, { usage, fresh: true });
+      searches.push({ id: s.id, listings: listingsFromResult(result) });
+    } catch (e) {
+      searches.push({ id: s.id, error: String(e?.message || e) });
+    } finally {
+      await recordLlmUsage(env, auth, usage.calls, quota).catch(() => {});
+    }
+  }
 
-  const resp = await fetchWithTimeout(queryUrl, {
-    headers: { "user-agent": "Mozilla/5.0", "accept-language": "ro-RO,ro;q=0.9" },
-  });
+  const pins = [];
+  for (const p of watchlist.pins || []) {
+    opts.onItem?.("pin", p.link);
+    pins.push({ link: p.link, ...(await refreshPinnedListing(env, p.link)) });
+  }
 
-  if (!resp.ok) return { error: `reselecto_http_${resp.status}`, queryUrl, items: [] };
+  return { searches, pins };
+}
 
-  const html = await resp.text();
+// Removed or sold = gone (see checkListingPage); other failures say nothing about the listing itself
+// Always reads the page: a details-cache hit can't tell whether the listing is still up.
+async function refreshPinnedListing(env, link) {
+  try {
+    const page = await checkListingPage(env, link, { link });
+    if (!page.status) return { status: "error", httpStatus: page.httpStatus, title: null, priceRON: null };
+    if (page.status !== "active") {
+      return { status: "gone", reason: page.status, httpStatus: page.httpStatus, title: page.parsed?.title || null, priceRON: null };
+    }
 
-  const items = [];
-  // WooCommerce-ish tile: link + title + lei price
-  const tileRe =
-    /<a[^>]+href="([^"]+)"[^>]*>[\s\S]{0,800}?<h2[^>]*>([\s\S]*?)<\/h2>[\s\S]{0,1200}?(\d[\d.\s]{2,})\s*lei/gi;
+    await cachePut(env, "details", link, page.parsed).catch(() => {});
+    return { status: "active", httpStatus: page.httpStatus, title: page.parsed.title || null, priceRON: page.parsed.priceRON ?? null };
+  } catch (e) {
+    return { status: "error", httpStatus: null, title: null, priceRON: null, error: String(e?.message || e) };
+  }
+}
 
-  let m;
-  while ((m = tileRe.exec(html)) && items.length < 20) {
-    const link = m[1];
-    const title = normalizeText(stripHtml(m[2]));
-    const priceRON = parseInt(m[3].replace(/\s+/g, "").replace(/\./g, ""), 10);
-    if (!link || !title || !Number.isFinite(priceRON)) continue;
+// Applies a refresh to the stored watchlist (runs inside DB) and returns what changed per item.
+function applyWatchlistRefresh(watchlist, refresh, ts) {
+  const changes = { searches: [], pins: [] };
+
+  for (const s of watchlist.searches || []) {
+    const run = refresh.searches.find((x) => x.id === s.id);
+    if (!run) continue;
+    if (run.error) {
+      s.lastRun = { ts, error: run.error };
+      changes.searches.push({ id: s.id, name: s.name, ok: false, error: run.error });
+      continue;
+    }
+    const diff = diffTrackedListings(s.seen, run.listings, ts);
+    s.seen = diff.seen;
+    s.lastRun = { ts, count: run.listings.length, newListings: diff.newListings.length, priceChanges: diff.priceChanges.length, disappeared: diff.disappeared.length };
+    changes.searches.push({
+      id: s.id,
+      name: s.name,
+      ok: true,
+      count: run.listings.length,
+      newListings: diff.newListings,
+      priceChanges: diff.priceChanges,
+      disappeared: diff.disappeared,
+    });
+  }
 
-    items.push({
-      title,
-      link: link.startsWith("http") ? link : new URL(link, "https://www.reselecto.ro").toString(),
-      priceRON,
-      rawText: null,
+  for (const p of watchlist.pins || []) {
+    const now = refresh.pins.find((x) => x.link === p.link);
+    if (!now) continue;
+    const prev = p.last;
+    // A failed fetch keeps the last known state
+    if (now.status !== "error") {
+      p.last = {
+        status: now.status,
+        title: now.title ?? prev?.title ?? null,
+        priceRON: now.priceRON ?? (now.status === "gone" ? prev?.priceRON ?? null : null),
+        checkedAt: ts,
+      };
+    }
+    const priceChanged = now.status === "active" && prev?.priceRON != null && now.priceRON != null && now.priceRON !== prev.priceRON;
+    changes.pins.push({
+      link: p.link,
+      note: p.note,
+      status: now.status,
+      httpStatus: now.httpStatus,
+      ...(now.reason ? { reason: now.reason } : {}),
+      previousStatus: prev?.status || null,
+      statusChanged: now.status !== "error" && prev != null && prev.status !== now.status,
+      title: now.title ?? prev?.title ?? null,
+      priceRON: now.priceRON,
+      previousPriceRON: prev?.priceRON ?? null,
+      deltaRON: priceChanged ? now.priceRON - prev.priceRON : null,
+      ...(now.error ? { error: now.error } : {}),
     });
   }
 
-  return { queryUrl, items };
+  watchlist.lastRefreshedAt = ts;
+  changes.summary = {
+    newListings: changes.searches.reduce((n, x) => n + (x.newListings?.length || 0), 0),
+    priceChanges:
+      changes.searches.reduce((n, x) => n + (x.priceChanges?.length || 0), 0) + changes.pins.filter((x) => x.deltaRON != null).length,
+    disappeared: changes.searches.reduce((n, x) => n + (x.disappeared?.length || 0), 0),
+    pinsGone: changes.pins.filter((x) => x.status === "gone").length,
+    errors: changes.searches.filter((x) => !x.ok).length + changes.pins.filter((x) => x.status === "error").length,
+  };
+  return changes;
 }
 
 /* =========================
-   OLX discovery via Google CSE + page fetch
+   Listing lifecycle (OLX ads)
 ========================= */
 
-async function discoverOlxListings(env, intent, input) {
-  // If no Google CSE, skip
-  if (!env.GOOGLE_CSE_API_KEY || !env.GOOGLE_CSE_CX) return { error: "missing_google_cse_env", items: [] };
+const LISTING_STATUSES = ["active", "removed", "sold"];
+// Known active ads the cron re-reads per tick (oldest check first), so removals show up between searches
+const LIFECYCLE_RECHECK_PER_TICK = 5;
+const LIFECYCLE_RECHECK_AFTER_MS = 12 * 60 * 60 * 1000;
+// A new ad is a relist of an old one when at least 2 of title / description / main image match
+const RELIST_MIN_SIGNALS = 2;
+const RELIST_TITLE_SIMILARITY = 0.8;
+// Description prefix used for the fingerprint: listing pages only show the start of it in their meta description
+const RELIST_DESC_CHARS = 160;
+// Ads (and their price logs) not seen in a search or re-read for this long are dropped by the alarm sweep
+const LISTING_RETENTION_MS = 180 * 24 * 60 * 60 * 1000;
+
+// OLX keeps the URL of a deactivated ad alive for a while and says so on the page
+const OLX_INACTIVE_RE = /anun[tț]ul\s+(?:nu\s+mai\s+este\s+(?:activ|disponibil)|a\s+fost\s+(?:dezactivat|[sș]ters)|este\s+inactiv)/i;
+// Sellers mark sold items in the title ("VANDUT", "sold"). Only the title is checked: OLX shows no sold
+// state of its own, and a description saying "nu e vandut" would read as sold.
+const SOLD_RE = /\b(?:v[aâ]ndut[aă]?|sold)\b/i;
+
+// -> { status: active|removed|sold|null (inconclusive), httpStatus, parsed }
+async function checkListingPage(env, link, discovered) {
+  const resp = await politeFetch(env, link, { headers: { "accept-language": "ro-RO,ro;q=0.9" } });
+  if (resp.status === 404 || resp.status === 410) return { status: "removed", httpStatus: resp.status, parsed: null };
+  if (!resp.ok) return { status: null, httpStatus: resp.status, parsed: null };
+
+  // Expired OLX ads redirect to a search/category page
+  const finalUrl = safeUrl(resp.url);
+  if (resp.redirected && finalUrl?.hostname.endsWith("olx.ro") && !finalUrl.pathname.startsWith("/d/oferta/")) {
+    return { status: "removed", httpStatus: resp.status, parsed: null };
+  }
 
-  const base = intent?.search_query || input.q;
+  const html = await resp.text();
+  const parsed = { ...parseListingPage(html, discovered), link };
+  const sold = SOLD_RE.test(parsed.title || "");
+  if (OLX_INACTIVE_RE.test(stripHtml(html))) return { status: sold ? "sold" : "removed", httpStatus: resp.status, parsed };
+  return { status: sold ? "sold" : "active", httpStatus: resp.status, parsed };
+}
 
-  // Build a focused discovery query:
-  // - include "site:olx.ro"
-  // - include budget/size hints where available
-  // - for TVs, include oled and inch range words
-  let q = `site:olx.ro ${base}`;
-  if (intent?.category === "tv") {
-    q += " televizor";
-    if ((intent?.must_have || []).some((x) => String(x).toLowerCase().includes("oled"))) q += " oled";
-    if (intent?.size_min != null || intent?.size_max != null) q += " inch";
-  }
-  if (intent?.budget_lei != null) q += ` ${Math.floor(intent.budget_lei)} lei`;
+// checked = we read the ad's own page (vs. only saw it in search results)
+function listingObservation(it, status, checked) {
+  const fold = (s) =>
+    String(s || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  const desc = fold(it.rawText).slice(0, RELIST_DESC_CHARS);
+  const image = safeUrl(it.image);
+  const tKey = titleKey(it.title);
+  return {
+    link: it.link,
+    source: it.source || "olx",
+    status,
+    checked,
+    title: it.title || null,
+    priceRON: status === "active" ? it.priceRON ?? null : null,
+    seller: it.seller || null,
+    titleKey: tKey,
+    titleFp: tKey ? stableKeyFromObj(tKey) : null,
+    descFp: desc.length >= 40 ? stableKeyFromObj(desc) : null,
+    // CDN path without the ";s=WxH" size suffix
+    imageFp: image ? stableKeyFromObj(image.pathname.replace(/;.*$/, "")) : null,
+  };
+}
 
-  const res = await googleCseSearch(env, q, 8);
-  if (res.error) return { error: res.error, items: [] };
+// How many of title / description / image say `row` and `candidate` (a stored listings row) are the same item
+function relistSignals(row, candidate) {
+  const a = new Set(String(row.titleKey || "").split(" ").filter(Boolean));
+  const b = new Set(String(candidate.title_key || "").split(" ").filter(Boolean));
+  const shared = [...a].filter((w) => b.has(w)).length;
+  const union = new Set([...a, ...b]).size;
+  const signals = [];
+  if (union && shared / union >= RELIST_TITLE_SIMILARITY) signals.push("title");
+  if (row.descFp && row.descFp === candidate.desc_fp) signals.push("description");
+  if (row.imageFp && row.imageFp === candidate.image_fp) signals.push("image");
+  return signals;
+}
 
-  // Keep only olx.ro listing URLs (best effort)
-  const items = [];
-  for (const it of res.items || []) {
-    if (!it.link) continue;
+// Re-reads the least recently checked active ads (cron)
+async function recheckListings(env) {
+  const due = await listingsDue(env, Date.now() - LIFECYCLE_RECHECK_AFTER_MS, LIFECYCLE_RECHECK_PER_TICK).catch(() => []);
+  const observed = [];
+  for (const l of due) {
     try {
-      const u = new URL(it.link);
-      if (!u.hostname.endsWith("olx.ro")) continue;
-      // Keep likely listing pages (not category root). OLX often contains /d/oferta/...
-      if (!u.pathname.includes("/d/")) continue;
-      items.push({
-        title: it.title || null,
-        link: it.link,
-        snippet: it.snippet || null,
-      });
+      const page = await checkListingPage(env, l.link, { link: l.link, title: l.title });
+      if (!page.status) continue;
+      observed.push(listingObservation({ link: l.link, source: l.source, ...page.parsed }, page.status, true));
+      if (page.status === "active") await cachePut(env, "details", l.link, page.parsed).catch(() => {});
     } catch {}
   }
-
-  return { items: items.slice(0, 6) };
+  if (observed.length) await listingsObserve(env, observed).catch(() => {});
 }
 
-async function fetchListingDetails(env, discovered) {
-  const items = [];
-  for (const it of (discovered || []).slice(0, 6)) {
-    try {
-      const resp = await fetchWithTimeout(it.link, {
-        headers: { "user-agent": "Mozilla/5.0", "accept-language": "ro-RO,ro;q=0.9" },
-      });
-
-      if (!resp.ok) continue;
-
-      const html = await resp.text();
-
-      // Heuristic extract:
-      // - title: <title> or og:title
-      // - description: meta description + some text near "Descriere"
-      // - price: look for "lei" nearby
-      const title = extractMeta(html, "og:title") || extractTitleTag(html) || it.title || null;
-      const desc = extractMeta(html, "description") || "";
-      const bodyText = normalizeText(stripHtml(grabTextChunk(html, ["Descriere", "descriere", "Description"], 4000)));
+/* =========================
+   Source health (yield + parser drift)
+========================= */
 
-      const rawText = normalizeText(`${desc} ${bodyText}`.slice(0, 3500));
-      const priceRON = extractPriceRON(html);
+const HEALTH_RUNS_KEPT = 50;
+// Baseline = median of older runs; fewer than this and we only report zero yield
+const HEALTH_MIN_BASELINE = 5;
+
+// runs: newest first, { ts, ok, items, priced, titled, error }
+function sourceHealthStatus(runs) {
+  if (!runs.length) return { status: "unknown", reasons: [], lastRunAt: null, lastSuccessAt: null, lastError: null, runs: 0 };
+
+  const iso = (ts) => (ts ? new Date(ts).toISOString() : null);
+  const lastSuccess = runs.find((r) => r.ok && r.items > 0);
+  const lastFailure = runs.find((r) => r.error);
+  const recent = runs.slice(0, 3);
+  const baseline = runs.slice(3).filter((r) => r.ok && r.items > 0);
+  const pct = (n, d) => (d ? Math.round((n / d) * 100) : null);
+  const median = (xs) => {
+    const v = [...xs].sort((a, b) => a - b);
+    return v.length ? v[Math.floor(v.length / 2)] : null;
+  };
 
-      items.push({
-        title: title ? normalizeText(title) : null,
-        link: it.link,
-        priceRON,
-        snippet: it.snippet || null,
-        rawText: rawText || null,
-      });
-    } catch {}
+  const reasons = [];
+  let status = "ok";
+
+  // Zero yield on the last 3 runs: broken markup, blocked or down
+  if (recent.length >= 3 && recent.every((r) => !r.items)) {
+    status = "failing";
+    reasons.push(recent.every((r) => r.error) ? "errors" : "zero_yield");
+  } else if (runs[0].error && !runs[0].items) {
+    status = "degraded";
+    reasons.push("last_run_failed");
+  } else if (baseline.length >= HEALTH_MIN_BASELINE) {
+    const sum = (k) => recent.reduce((a, r) => a + r[k], 0);
+    const items = sum("items") / recent.length;
+    const baseItems = median(baseline.map((r) => r.items));
+    if (items < baseItems * 0.3) reasons.push("yield_drop");
+
+    // Share of items with a parsed price/title is query-independent: a drop means the parser lost a field
+    const basePriced = median(baseline.map((r) => pct(r.priced, r.items)));
+    const baseTitled = median(baseline.map((r) => pct(r.titled, r.items)));
+    if (pct(sum("priced"), sum("items")) < basePriced - 40) reasons.push("price_parse_drop");
+    if (pct(sum("titled"), sum("items")) < baseTitled - 40) reasons.push("title_parse_drop");
+    if (reasons.length) status = "degraded";
   }
 
-  // Deduplicate by link
-  const byLink = new Map();
-  for (const x of items) byLink.set(x.link, x);
-  return { items: [...byLink.values()] };
+  const totals = runs.reduce((a, r) => ({ items: a.items + r.items, priced: a.priced + r.priced, titled: a.titled + r.titled }), {
+    items: 0,
+    priced: 0,
+    titled: 0,
+  });
+  return {
+    status,
+    reasons,
+    lastRunAt: iso(runs[0].ts),
+    lastSuccessAt: iso(lastSuccess?.ts),
+    lastError: lastFailure ? { at: iso(lastFailure.ts), error: lastFailure.error } : null,
+    runs: runs.length,
+    medianItems: median(runs.map((r) => r.items)),
+    pricedPct: pct(totals.priced, totals.items),
+    titledPct: pct(totals.titled, totals.items),
+  };
 }
 
 /* =========================
-   Reviews via Google CSE
+   Price history
 ========================= */
 
-async function fetchReviewsForTop(env, ranked, intent) {
-  if (!env.GOOGLE_CSE_API_KEY || !env.GOOGLE_CSE_CX) return { error: "missing_google_cse_env", items: [] };
+// Points older than this are dropped by the alarm sweep; /api/history returns at most the newest HISTORY_MAX_POINTS
+const HISTORY_RETENTION_MS = 365 * 24 * 60 * 60 * 1000;
+const HISTORY_MAX_POINTS = 5000;
 
-  const top = (ranked || []).slice(0, 3);
-  const out = [];
+function priceStats(points) {
+  const prices = (points || []).map((p) => p.priceRON).filter((n) => Number.isFinite(n)).sort((a, b) => a - b);
+  if (!prices.length) return { count: 0, min: null, max: null, median: null, latest: null, latestVsMedianPct: null };
 
-  for (const it of top) {
-    const model = normalizeText(it.modelCode || it.productKey || it.canonical || it.title || "").slice(0, 120);
-    if (!model) continue;
+  const mid = Math.floor(prices.length / 2);
+  const median = prices.length % 2 ? prices[mid] : (prices[mid - 1] + prices[mid]) / 2;
+  const latest = points[points.length - 1].priceRON;
 
-    const queries =
-      intent?.category === "tv"
-        ? [
-            `${model} review`,
-            `${model} rtings`,
-            `${model} site:reddit.com r/OLED OR r/4kTV`,
-            `${model} site:avsforum.com`,
-            `${model} hdtvtest`,
-          ]
-        : [
-            `${model} review`,
-            `${model} site:reddit.com`,
-            `${model} benchmark OR forum`,
-          ];
+  return {
+    count: prices.length,
+    min: prices[0],
+    max: prices[prices.length - 1],
+    median,
+    latest,
+    // negative = latest price is below the usual (median) price
+    latestVsMedianPct: median ? Math.round(((latest - median) / median) * 1000) / 10 : null,
+  };
+}
 
-    const sources = [];
-    const seen = new Set();
+/* =========================
+   Price alerts (webhooks)
+========================= */
 
-    for (const q of queries.slice(0, 4)) {
-      const res = await googleCseSearch(env, q, 5);
-      for (const s of res.items || []) {
-        if (!s.link || seen.has(s.link)) continue;
-        seen.add(s.link);
-        sources.push(s);
-        if (sources.length >= 12) break;
-      }
-      if (sources.length >= 12) break;
+// -> { claimed, delivered }: notifications claimed for this run and webhooks delivered (null = still sending)
+async function checkAlerts(env, input, intent, candidates, opts = {}) {
+  const alerts = await alertsList(env);
+  if (!alerts.length) return { claimed: 0, delivered: 0 };
+
+  const runWords = new Set([input?.q, intent?.search_query].flatMap(queryWords));
+  const matches = [];
+  for (const alert of alerts) {
+    for (const c of candidates || []) {
+      const reason = alertMatchReason(alert, c, runWords, intent);
+      if (reason) matches.push({ alert, c, reason });
     }
+  }
+  if (!matches.length) return { claimed: 0, delivered: 0 };
 
-    out.push({ candidateLink: it.link, model, sources });
+  // One DB round trip for every (alert, listing) pair, then the webhooks in parallel
+  const claimed = await alertsClaim(
+    env,
+    matches.map((m) => ({ alertId: m.alert.id, link: m.c.link, priceRON: m.c.priceRON ?? null, reason: m.reason }))
+  );
+  const toSend = matches.filter((_, i) => claimed[i]);
+  const deliver = Promise.all(
+    toSend.map(async ({ alert, c, reason }) => {
+      if (await sendAlertWebhook(env, alert, c, reason)) return 1;
+      // Not delivered: release the claim so the next run tries again
+      await alertRelease(env, alert.id, c.link).catch(() => {});
+      return 0;
+    })
+  ).then((sent) => sent.reduce((a, b) => a + b, 0));
+
+  if (opts.waitUntil && toSend.length) {
+    opts.waitUntil(deliver.catch(() => {}));
+    return { claimed: toSend.length, delivered: null };
   }
+  return { claimed: toSend.length, delivered: await deliver };
+}
 
-  return { items: out };
+// Folded words of a query: "Televizor OLED 55\"" and "televizor oled 55" are the same search
+function queryWords(q) {
+  return String(q || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
 }
 
-async function googleCseSearch(env, query, num = 6) {
-  const api = `https://www.googleapis.com/customsearch/v1?key=${encodeURIComponent(
-    env.GOOGLE_CSE_API_KEY
-  )}&cx=${encodeURIComponent(env.GOOGLE_CSE_CX)}&q=${encodeURIComponent(query)}&num=${clamp(num, 1, 10)}&gl=ro&hl=ro`;
+// A query alert applies to a run whose query (raw or from the intent) contains every word of the alert's query,
+// in any order: an "oled 55" alert fires for "televizor LG OLED 55 inch".
+function alertMatchReason(alert, c, runWords, intent) {
+  if (!c?.link) return null;
+  const underThreshold = alert.maxPriceRON != null && c.priceRON != null && c.priceRON <= alert.maxPriceRON;
 
-  const resp = await fetchWithTimeout(api, {}, 25000);
-  if (!resp.ok) return { error: `google_http_${resp.status}`, items: [] };
+  if (alert.link) return alert.link === c.link && underThreshold ? "price_below_threshold" : null;
 
-  const data = await resp.json();
-  const items = (data.items || []).map((it) => ({
-    title: it.title || null,
-    link: it.link || null,
-    snippet: it.snippet || null,
-  }));
+  const alertWords = queryWords(alert.query);
+  if (!alertWords.length || !alertWords.every((w) => runWords.has(w))) return null;
+  if (underThreshold) return "price_below_threshold";
+  if (c.source === "olx" && hardFitScore(c, intent) > 0) return "new_olx_match";
+  return null;
+}
 
-  return { items };
+async function sendAlertWebhook(env, alert, c, reason) {
+  // Alerts saved before the host check existed are re-checked here; ALERT_WEBHOOK_URL is the operator's own
+  if (alert.webhookUrl && !isPublicWebhookUrl(alert.webhookUrl)) return false;
+  const target = alert.webhookUrl || env.ALERT_WEBHOOK_URL;
+  if (!target) return false;
+
+  const payload = {
+    type: "price_alert",
+    reason,
+    alert: { id: alert.id, link: alert.link, query: alert.query, maxPriceRON: alert.maxPriceRON },
+    listing: { link: c.link, title: c.title || null, source: c.source || null, priceRON: c.priceRON ?? null },
+    ts: new Date().toISOString(),
+  };
+
+  try {
+    const resp = await fetchWithTimeout(target, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    return resp.ok;
+  } catch {
+    return false;
+  }
 }
 
 /* =========================
-   Gemini calls
+   Product matching (cross-source offer groups)
 ========================= */
 
-async function geminiIntent(env, input) {
-  const fallback = {
-    category: "other",
-    budget_lei: input.budget ?? null,
-    size_min: input.sizeMin ?? null,
-    size_max: input.sizeMax ?? null,
-    condition_ok: input.condition === "new" ? ["new"] : input.condition === "used" ? ["used"] : input.condition === "resealed" ? ["resealed"] : ["new", "resealed", "used"],
-    must_have: [],
-    must_exclude: ["nu porneste", "ecran spart", "pentru piese", "defect"],
-    search_query: input.q,
-    expanded_queries: [],
-  };
+// Tokens that look like model codes but aren't (sizes, refresh rates, storage, HDR formats...)
+const NOT_MODEL_CODE_RE = /^(\d+(HZ|CM|INCH|INCI|GB|TB|MAH|W|MP|MM|K|P))$|^(HDR\d*|DVB-?T2|DVB-?S2|HDMI\d*|USB\d*|WIFI\d*|DDR\d|LPDDR\d+X?|MINILED|QLED|OLED|NANOCELL|\d+X\d+)$/;
+
+// Deterministic model code from a title, e.g. "LG OLED55C3LA" -> "OLED55C3LA", "Sony KD-55X80K" -> "KD55X80K".
+function modelCodeFromTitle(title) {
+  const tokens = [];
+  for (const word of String(title || "").toUpperCase().split(/[^A-Z0-9-]+/)) {
+    // Hyphens separate words ("LG-OLED55C3") except after a short series prefix ("KD-55X80K", "XR-65A80L")
+    const parts = word.split("-").filter(Boolean);
+    for (let i = 0; i < parts.length; i++) {
+      if (/^[A-Z]{1,3}$/.test(parts[i]) && /^\d/.test(parts[i + 1] || "")) tokens.push(parts[i] + parts[++i]);
+      else tokens.push(parts[i]);
+    }
+  }
 
-  if (!env.GEMINI_API_KEY) return fallback;
+  const codes = tokens.filter((t) => /\d/.test(t) && /[A-Z]/.test(t) && t.length >= 6 && t.length <= 20 && !NOT_MODEL_CODE_RE.test(t));
+  if (!codes.length) return null;
+  return codes.sort((a, b) => b.length - a.length)[0];
+}
 
-  const prompt = `Return ONLY JSON:
-{
-  "category": "tv|laptop|phone|audio|accessory|other",
-  "budget_lei": number|null,
-  "size_min": number|null,
-  "size_max": number|null,
-  "condition_ok": ["new","resealed","used"],
-  "must_have": ["..."],
-  "must_exclude": ["..."],
-  "search_query": "string",
-  "expanded_queries": ["...", "...", "..."]
+function normalizeModelCode(code) {
+  const c = String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return c.length >= 5 && /\d/.test(c) && /[A-Z]/.test(c) ? c : null;
 }
 
-User query: ${input.q}
-Constraints: budget=${input.budget ?? null}, sizeMin=${input.sizeMin ?? null}, sizeMax=${input.sizeMax ?? null}, condition=${input.condition}
+const TITLE_NOISE_WORDS = new Set([
+  "televizor", "tv", "smart", "led", "uhd", "4k", "8k", "hdr", "ultra", "hd", "cm", "inch", "inchi", "resigilat",
+  "resigilata", "folosit", "folosita", "nou", "noua", "sigilat", "garantie", "cu", "si", "de", "la", "in", "pret",
+  "negociabil", "ieftin", "stare", "buna", "impecabil", "impecabila", "clasa", "energetica", "the", "with", "and",
+]);
+
+function titleKey(title) {
+  const words = String(title || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w && !TITLE_NOISE_WORDS.has(w) && !/^\d+(cm|hz)?$/.test(w));
+  return [...new Set(words)].sort().join(" ") || null;
+}
 
-Rules:
-- If query implies TV and OLED, set category="tv" and include "oled" in must_have.
-- If user wants 55-65 inch, set size_min/size_max.
-- must_exclude should include broken/non-working phrases.
-- search_query should be a compact query suitable for Romanian price search.
-`;
+// Condition of a single offer: explicit facts first, then title keywords, then what the source sells.
+function offerCondition(it) {
+  if (["new", "used", "resealed"].includes(it?.condition)) return it.condition;
+  const t = String(it?.title || "").toLowerCase();
+  if (/resigilat|resealed|open box|desigilat/.test(t)) return "resealed";
+  if (/folosit|second hand|\bsh\b|uzat/.test(t)) return "used";
+  if (it?.source === "reselecto") return "resealed";
+  if (it?.source === "olx") return "used";
+  if (["pricy", "emag", "altex"].includes(it?.source)) return "new";
+  return "unknown";
+}
 
-  const data = await geminiCallJson(env, prompt, 0);
-  return data || fallback;
+// Shops append a regional suffix to the same model (OLED55C3 / OLED55C31LA, KD55X80K / KD55X80KAEP). Only up to
+// 3 characters after a complete series code (ending in a letter, or a letter and one digit) count as one: a
+// truncated code like KD55X80 must not pull KD55X80K and KD55X80L (different years) into one group.
+function sameModelCode(a, b) {
+  const [short, long] = a.length <= b.length ? [a, b] : [b, a];
+  const extra = long.length - short.length;
+  return extra >= 1 && extra <= 3 && short.length >= 6 && long.startsWith(short) && /[A-Z]\d?$/.test(short);
 }
 
-async function geminiExtractListingFacts(env, items, intent) {
-  if (!env.GEMINI_API_KEY) return [];
+// rows must already be in ranked order; the best-ranked row of each group represents it.
+function groupOffers(rows) {
+  const groups = [];
+  const byCode = new Map();
+  const byTitle = new Map();
+
+  for (const row of rows || []) {
+    const code = normalizeModelCode(row.modelCode) || normalizeModelCode(row.productKey) || modelCodeFromTitle(row.title);
+    const tkey = titleKey(row.canonical || row.title);
+
+    let group = code ? byCode.get(code) : null;
+    if (!group && code) {
+      for (const [k, g] of byCode) {
+        if (sameModelCode(k, code)) {
+          group = g;
+          break;
+        }
+      }
+    }
+    if (!group && tkey) group = byTitle.get(tkey);
 
-  const prompt = `Return ONLY JSON:
-{ "items": [ { "link": "...", "condition": "new|used|resealed|unknown", "negotiable": true|false|unknown, "defects": ["..."], "sizeInch": number|null, "notes": "..." } ] }
+    if (!group) {
+      group = { key: code ? `model:${code}` : `title:${tkey || row.link}`, modelCode: code, rows: [] };
+      groups.push(group);
+    }
+    group.rows.push(row);
+    if (code && !byCode.has(code)) byCode.set(code, group);
+    if (tkey && !byTitle.has(tkey)) byTitle.set(tkey, group);
+    if (code && !group.modelCode) group.modelCode = code;
+  }
 
-User intent:
-${JSON.stringify(intent)}
+  return groups.map((g) => {
+    const offers = g.rows.map((r) => ({
+      link: r.link,
+      title: r.title || null,
+      source: r.source || null,
+      priceRON: r.priceRON ?? null,
+      condition: offerCondition(r),
+      city: r.city ?? null,
+      distanceKm: r.distanceKm ?? null,
+      shipping: r.shipping ?? null,
+      effectiveCostRON: r.effectiveCostRON ?? null,
+      overallScore: r.overallScore ?? null,
+    }));
+
+    const cheapest = {};
+    for (const cond of ["new", "resealed", "used"]) {
+      const best = offers
+        .filter((o) => o.condition === cond && o.priceRON != null)
+        .sort((a, b) => a.priceRON - b.priceRON)[0];
+      cheapest[cond] = best ? { priceRON: best.priceRON, link: best.link, source: best.source } : null;
+    }
 
-Items:
-${JSON.stringify(
-    (items || []).map((x) => ({
-      title: x.title,
-      link: x.link,
-      priceRON: x.priceRON,
-      snippet: x.snippet,
-      rawText: x.rawText,
-      source: x.source,
-    }))
-  )}
-`;
-  const res = await geminiCallJson(env, prompt, 0);
-  return res?.items || [];
+    // What the condition costs: cheapest new vs cheapest resealed vs cheapest used (null with fewer than two).
+    // Not max - min over all offers, which one overpriced listing would inflate.
+    const byCondition = Object.values(cheapest).filter(Boolean).map((c) => c.priceRON);
+    return {
+      ...g.rows[0],
+      modelCode: g.rows[0].modelCode || g.modelCode || null,
+      groupKey: g.key,
+      offerCount: offers.length,
+      offers,
+      cheapest,
+      spreadRON: byCondition.length > 1 ? Math.max(...byCondition) - Math.min(...byCondition) : null,
+    };
+  });
 }
 
-async function geminiScoreCandidates(env, items, intent) {
-  if (!env.GEMINI_API_KEY) {
-    // deterministic fallback: cheap sort
-    const out = (items || [])
-      .map((x) => ({
-        link: x.link,
-        title: x.title || null,
-        priceRON: x.priceRON ?? null,
-        overallScore: 50,
-        valueScore: x.priceRON != null && intent?.budget_lei != null ? clamp(100 - Math.abs(x.priceRON - intent.budget_lei) / 50, 0, 100) : 50,
-        differences: [],
-        pros: [],
-        cons: [],
-        modelCode: null,
-        sizeInch: x.sizeInch ?? null,
-        panelType: guessPanelType(x.title),
-        condition: x.condition ?? "unknown",
-        negotiable: x.negotiable ?? "unknown",
-        defects: x.defects ?? [],
-      }))
-      .sort((a, b) => (a.priceRON || 1e18) - (b.priceRON || 1e18))
-      .slice(0, 10);
-    return { items: out };
+/* =========================
+   Async search jobs (run by the DB Durable Object)
+========================= */
+
+// Finished jobs are kept this long for polling, then swept.
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+// Jobs started per alarm invocation; the rest wait for the next alarm.
+const JOBS_PER_ALARM = 3;
+
+function publicJob(job) {
+  const { key, keyId, viewers, llmCallLimit, ...rest } = job || {};
+  return {
+    ...rest,
+    result: job?.status === "done" ? job.result : null,
+    pollUrl: job?.id ? `/api/jobs/${job.id}` : null,
+  };
+}
+
+/* =========================
+   Hard-fit scoring (deterministic)
+========================= */
+
+function hardFitScore(it, intent) {
+  let s = 0;
+
+  // comparePriceRON = effective cost or sticker price, per the search's rankBy
+  const price = it.comparePriceRON ?? it.priceRON;
+  if (intent?.budget_lei != null && price != null) {
+    if (price <= intent.budget_lei) s += 20;
+    else s -= clamp((price - intent.budget_lei) / 50, 0, 35);
   }
 
-  const prompt = `Return ONLY JSON:
-{
-  "items": [
-    {
-      "link": "...",
-      "title": "...",
-      "priceRON": number|null,
-      "overallScore": number,
-      "valueScore": number,
-      "differences": ["..."],
+  if (intent?.size_min != null && it.sizeInch != null) {
+    if (it.sizeInch >= intent.size_min) s += 5;
+    else s -= 10;
+  }
+  if (intent?.size_max != null && it.sizeInch != null) {
+    if (it.sizeInch <= intent.size_max) s += 5;
+    else s -= 10;
+  }
+
+  // Spec rules of the category (panel, RAM/SSD, battery health, ANC, ...)
+  const profile = categoryProfile(intent?.category);
+  s += profile.hardFit(it.specs || profile.specs(it), intent, it);
+
+  if (it.defects?.length) s -= clamp(it.defects.length * 5, 0, 25);
+
+  // Outside the radius a listing is only useful if it ships
+  if (it.withinRadius === true) s += 8;
+  else if (it.withinRadius === false) s -= it.shipping === true ? 3 : it.shipping === false ? 30 : 12;
+  else if (it.shipping === false) s -= 5;
+
+  return s;
+}
+
+/* =========================
+   Category profiles
+========================= */
+
+// A category profile (keyed by intent.category):
+//   keywords      query words that pick this profile when the LLM is unavailable
+//   accessories   extra title words marking an accessory rather than the device (on top of ACCESSORY_WORDS)
+//   accessoryLeads  words that mark an accessory only as one of the first ACCESSORY_LEAD_WORDS title words:
+//                 device listings mention them too ("tastatura iluminata", "+ mouse cadou")
+//   specs         (item) => spec fields parsed from title/rawText; sizeInch feeds the generic size_min/size_max rule
+//   hardFit       (specs, intent, item) => hardFitScore delta
+//   notes         (specs, intent, item) => { pros, cons, differences } for the rule-based scorer
+//   reviewQueries (model) => CSE queries for fetchReviewsForTop (first 4 are used)
+// Adding a category = one new entry here (plus its name in INTENT_SCHEMA). Order matters for detectCategory:
+// "laptop oled" is a laptop, so the more specific device words come before tv.
+const CATEGORY_PROFILES = {
+  laptop: {
+    keywords: ["laptop", "laptopuri", "notebook", "macbook", "ultrabook", "thinkpad"],
+    accessories: [],
+    accessoryLeads: ["geanta", "geantă", "rucsac", "sleeve", "docking", "dock", "cooler", "tastatura", "tastatură", "mouse"],
+    specs: (it) => {
+      const t = `${it.title || ""} ${it.rawText || ""}`;
+      return {
+        cpu: parseCpu(t),
+        ramGb: parseGb(t, /(\d{1,2})\s*gb\s*(?:de\s*)?(?:ram|ddr\d?|lpddr\d?x?)|ram\s*:?\s*(\d{1,2})\s*gb/i),
+        storageGb: parseGb(t, /(\d{3,4}|[1-4]\s*tb)\s*(?:gb)?\s*(?:ssd|nvme|m\.2)|ssd\s*:?\s*(\d{3,4}\s*gb|[1-4]\s*tb)/i),
+        sizeInch: parseScreenInch(it.title) ?? parseScreenInch(it.rawText),
+      };
+    },
+    hardFit: (specs, intent) => minimumFit(specs.ramGb, intent?.ram_min_gb) + minimumFit(specs.storageGb, intent?.storage_min_gb),
+    notes: (specs, intent) => {
+      const out = minimumNotes([
+        ["RAM", specs.ramGb, intent?.ram_min_gb, "GB"],
+        ["Storage", specs.storageGb, intent?.storage_min_gb, "GB"],
+      ]);
+      const summary = [specs.cpu, specs.ramGb && `${specs.ramGb} GB RAM`, specs.storageGb && `${specs.storageGb} GB SSD`].filter(Boolean);
+      if (summary.length) out.differences.push(`Specs: ${summary.join(", ")}`);
+      return out;
+    },
+    reviewQueries: (model) => [
+      `${model} review`,
+      `${model} notebookcheck`,
+      `${model} site:reddit.com r/laptops OR r/SuggestALaptop`,
+      `${model} forum`,
+    ],
+  },
+  phone: {
+    keywords: ["telefon", "telefoane", "smartphone", "iphone", "galaxy", "pixel", "xiaomi", "redmi"],
+    accessories: ["sticla", "sticlă", "protectie ecran", "protecție ecran", "baterie externa", "powerbank"],
+    accessoryLeads: [],
+    specs: (it) => {
+      const t = `${it.title || ""} ${it.rawText || ""}`;
+      return {
+        // Unit required: a bare 128/256 is as likely a price, a model number or a year fragment
+        storageGb: parseGb(t, /\b(64|128|256|512)\s*gb\b(?!\s*(?:de\s*)?(?:ram|ddr))|\b(1\s*tb)\b/i),
+        ramGb: parseGb(t, /(\d{1,2})\s*gb\s*(?:de\s*)?ram|ram\s*:?\s*(\d{1,2})\s*gb/i),
+        batteryHealthPct: parseBatteryHealth(t),
+        sizeInch: parseScreenInch(it.title),
+      };
+    },
+    hardFit: (specs, intent) => {
+      let s = minimumFit(specs.storageGb, intent?.storage_min_gb);
+      if (intent?.battery_health_min != null) s += minimumFit(specs.batteryHealthPct, intent.battery_health_min);
+      else if (specs.batteryHealthPct != null && specs.batteryHealthPct < 80) s -= 5;
+      return s;
+    },
+    notes: (specs, intent) => {
+      const out = minimumNotes([
+        ["Storage", specs.storageGb, intent?.storage_min_gb, "GB"],
+        ["Battery health", specs.batteryHealthPct, intent?.battery_health_min, "%"],
+      ]);
+      if (specs.batteryHealthPct != null && intent?.battery_health_min == null) {
+        (specs.batteryHealthPct < 80 ? out.cons : out.pros).push(`Battery health ${specs.batteryHealthPct}%`);
+      }
+      return out;
+    },
+    reviewQueries: (model) => [
+      `${model} review`,
+      `${model} gsmarena`,
+      `${model} site:reddit.com r/Android OR r/iphone`,
+      `${model} dxomark`,
+    ],
+  },
+  audio: {
+    keywords: ["casti", "căști", "headphones", "earbuds", "boxa", "boxă", "boxe", "soundbar", "amplificator", "difuzor"],
+    accessories: ["pernute", "ear tips", "ear pads", "adaptor"],
+    accessoryLeads: [],
+    specs: (it) => {
+      const t = `${it.title || ""} ${it.rawText || ""}`.toLowerCase();
+      return {
+        audioType: /soundbar/.test(t) ? "soundbar" : /boxa|boxă|boxe|speaker|difuzor/.test(t) ? "speaker" : /casti|căști|headphone|earbud|in-ear|over-ear/.test(t) ? "headphones" : null,
+        wireless: /bluetooth|wireless|wi-?fi|true wireless|\btws\b|f[aă]r[aă] fir/.test(t) ? true : null,
+        anc: /\banc\b|noise cancell?ing|anulare (activ[aă] )?a zgomotului/.test(t) ? true : null,
+      };
+    },
+    hardFit: (specs, intent) => {
+      let s = 0;
+      if (wantsSpec(intent, "anc", "noise")) s += specs.anc ? 5 : -10;
+      if (wantsSpec(intent, "wireless", "bluetooth")) s += specs.wireless ? 5 : -10;
+      return s;
+    },
+    notes: (specs, intent) => {
+      const out = { pros: [], cons: [], differences: [] };
+      if (wantsSpec(intent, "anc", "noise")) (specs.anc ? out.pros : out.cons).push(specs.anc ? "Active noise cancelling" : "No noise cancelling mentioned");
+      if (wantsSpec(intent, "wireless", "bluetooth")) (specs.wireless ? out.pros : out.cons).push(specs.wireless ? "Wireless" : "Wireless not mentioned");
+      return out;
+    },
+    reviewQueries: (model) => [
+      `${model} review`,
+      `${model} rtings`,
+      `${model} site:reddit.com r/headphones OR r/audiophile`,
+      `${model} soundguys OR whathifi`,
+    ],
+  },
+  tv: {
+    keywords: ["tv", "televizor", "televizoare", "oled", "qled", "smart tv"],
+    accessories: [],
+    accessoryLeads: [],
+    specs: (it) => ({
+      sizeInch: it.sizeInch ?? parseSizeInch(it.title, it.modelCode || modelCodeFromTitle(it.title)),
+      panelType: guessPanelType(it.title),
+    }),
+    hardFit: (specs, intent, it) => {
+      if (!wantsSpec(intent, "oled")) return 0;
+      const t = `${it.title || ""} ${it.canonical || ""}`.toLowerCase();
+      return t.includes("oled") ? 10 : -15;
+    },
+    notes: (specs, intent) => {
+      const out = { pros: [], cons: [], differences: [] };
+      if (!wantsSpec(intent, "oled")) return out;
+      if (specs.panelType === "oled") out.pros.push("OLED panel, as requested");
+      else {
+        out.differences.push(`Panel is ${specs.panelType === "unknown" ? "not stated" : specs.panelType.toUpperCase()}, not OLED`);
+        out.cons.push("Not an OLED panel");
+      }
+      return out;
+    },
+    reviewQueries: (model) => [
+      `${model} review`,
+      `${model} rtings`,
+      `${model} site:reddit.com r/OLED OR r/4kTV`,
+      `${model} site:avsforum.com`,
+      `${model} hdtvtest`,
+    ],
+  },
+  other: {
+    keywords: [],
+    accessories: [],
+    accessoryLeads: [],
+    specs: (it) => ({ sizeInch: it.sizeInch ?? parseSizeInch(it.title, it.modelCode || modelCodeFromTitle(it.title)) }),
+    hardFit: () => 0,
+    notes: () => ({ pros: [], cons: [], differences: [] }),
+    reviewQueries: (model) => [`${model} review`, `${model} site:reddit.com`, `${model} benchmark OR forum`],
+  },
+};
+
+function categoryProfile(category) {
+  return CATEGORY_PROFILES[category] || CATEGORY_PROFILES.other;
+}
+
+// Keyword match on the raw query; used for the intent fallback when there's no LLM
+function detectCategory(q) {
+  const words = ` ${normalizeText(String(q || "")).toLowerCase()} `;
+  for (const [name, profile] of Object.entries(CATEGORY_PROFILES)) {
+    if (profile.keywords.some((k) => words.includes(` ${k}`))) return name;
+  }
+  return "other";
+}
+
+function wantsSpec(intent, ...words) {
+  return (intent?.must_have || []).some((x) => words.some((w) => String(x).toLowerCase().includes(w)));
+}
+
+function minimumFit(value, min) {
+  if (min == null || value == null) return 0;
+  return value >= min ? 5 : -10;
+}
+
+function minimumNotes(rows) {
+  const out = { pros: [], cons: [], differences: [] };
+  for (const [label, value, min, unit] of rows) {
+    if (min == null) continue;
+    if (value == null) out.cons.push(`${label} not stated (you asked for ${min}${unit === "%" ? "%" : ` ${unit}`}+)`);
+    else if (value >= min) out.pros.push(`${label} ${value}${unit === "%" ? "%" : ` ${unit}`} meets your minimum`);
+    else out.differences.push(`${label} is ${value}${unit === "%" ? "%" : ` ${unit}`}, below your ${min}${unit === "%" ? "%" : ` ${unit}`} minimum`);
+  }
+  return out;
+}
+
+// First capture group that matched; "1 TB" -> 1024
+function parseGb(text, re) {
+  const m = String(text || "").match(re);
+  const raw = m && m.slice(1).find((x) => x != null);
+  if (!raw) return null;
+  const tb = String(raw).match(/(\d)\s*tb/i);
+  if (tb) return Number(tb[1]) * 1024;
+  const n = parseInt(raw, 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseCpu(text) {
+  const t = String(text || "");
+  const m =
+    t.match(/\b(?:intel\s*)?(?:core\s*)?(?:i[3579][- ]?\d{4,5}[a-z]{0,2}|ultra\s*[579]\s*\d{3}[a-z]?|i[3579])\b|\bryzen\s*[3579](?:\s*(?:pro\s*)?\d{4}[a-z]{0,2})?\b/i) ||
+    // A bare "M2" is only a chip on an Apple listing; the brand usually comes first ("Apple MacBook Air M2")
+    (/macbook|apple|\bchip\b|\bcip\b/i.test(t) ? t.match(/\b(?:apple\s*)?m[1-4](?:\s*(?:pro|max|ultra))?\b/i) : null);
+  return m ? normalizeText(m[0]) : null;
+}
+
+// Laptop/phone screens: 13.3", 15.6 inch, 6.1"
+function parseScreenInch(text) {
+  const m = String(text || "").match(/\b(\d{1,2}(?:[.,]\d)?)\s*(?:"|''|”|″|inch|inchi|inci)/i);
+  if (!m) return null;
+  const n = Number(m[1].replace(",", "."));
+  return n >= 4 && n <= 21 ? n : null;
+}
+
+function parseBatteryHealth(text) {
+  const m =
+    String(text || "").match(/(?:baterie|bateria|battery(?: health)?|s[aă]n[aă]tate(?:a)? baterie[i]?|capacitate baterie)[^0-9%]{0,20}(\d{2,3})\s*%/i) ||
+    String(text || "").match(/(\d{2,3})\s*%\s*(?:baterie|battery|s[aă]n[aă]tate)/i);
+  const n = m ? Number(m[1]) : null;
+  return n != null && n >= 40 && n <= 100 ? n : null;
+}
+
+/* =========================
+   Rule-based scoring (Gemini fallback)
+========================= */
+
+// Wear that doesn't disqualify a listing (looksBadCondition already dropped the broken ones),
+// mapped to the explanation shown in cons. Anchored at a word start so "nezgariat" / "neciobit" don't match.
+const MINOR_DEFECTS = [
+  [/\b(?:zg[aâ]ri[ae]t|zg[aâ]rietur|scratch)/gi, "scratches mentioned"],
+  [/\b(?:pixel(i)? mor[tț]i?|dead pixel)/gi, "dead pixel(s) mentioned"],
+  [/\b(?:burn[- ]?in|retenti[ea] de imagine|image retention)/gi, "burn-in / image retention mentioned"],
+  [/\b(?:f[aă]r[aă] telecomand[aă]|lips[aă] telecomand[aă])/gi, "no remote included"],
+  [/\b(?:f[aă]r[aă] cutie|lips[aă] cutie)/gi, "no original box"],
+  [/\b(?:f[aă]r[aă] (picior|picioare|stand)|lips[aă] (picior|picioare|stand))/gi, "no stand/feet included"],
+  [/\b(?:f[aă]r[aă] [iî]nc[aă]rc[aă]tor|lips[aă] [iî]nc[aă]rc[aă]tor)/gi, "no charger included"],
+  [/\b(?:baterie (slab[aă]|uzat[aă])|battery (weak|worn))/gi, "worn battery mentioned"],
+  [/\b(?:lovit(ur[aă])?|ciobit|dent)/gi, "dents/chips mentioned"],
+];
+
+// "fara zgarieturi", "no dead pixels", "nu are lovituri", "ne-zgariat": the defect is ruled out, not reported
+const DEFECT_NEGATED_RE = /(?:\bne-|\b(?:f[aă]r[aă]|no|without|nu are)\s+)$/i;
+
+function detectDefects(text) {
+  const t = String(text || "");
+  return MINOR_DEFECTS.filter(([re]) => [...t.matchAll(re)].some((m) => !DEFECT_NEGATED_RE.test(t.slice(0, m.index)))).map(
+    ([, label]) => label
+  );
+}
+
+function detectNegotiable(text) {
+  const t = String(text || "").toLowerCase();
+  if (/pre[tț] fix|nu negociez|nu accept negocier|non[- ]?negociabil|nenegociabil|nu (este|e|mai e) negociabil/.test(t)) return false;
+  if (/negociabil|negociez|accept oferte|pre[tț] discutabil/.test(t)) return true;
+  return "unknown";
+}
+
+// Screen size from titles: 55", 55 inch, 55 inchi, 139 cm, or the size digits in a TV model code (OLED55C3).
+// A bare "in" is not a unit: "55 in stoc", "2 in 1".
+function parseSizeInch(title, modelCode) {
+  const t = String(title || "");
+  const inch = t.match(/\b(\d{2,3}(?:[.,]\d)?)\s*(?:"|''|”|″|inch|inci)/i);
+  if (inch) return Math.round(Number(inch[1].replace(",", ".")));
+  const cm = t.match(/\b(\d{2,3})\s*cm\b/i);
+  if (cm) return Math.round(Number(cm[1]) / 2.54);
+  const code = String(modelCode || "").match(/^[A-Z]{0,6}(\d{2})[A-Z]/);
+  if (code && Number(code[1]) >= 24 && Number(code[1]) <= 98) return Number(code[1]);
+  return null;
+}
+
+function ruleBasedScoreCandidates(items, intent) {
+  const prices = (items || []).map((x) => x.comparePriceRON ?? x.priceRON).filter((n) => n != null);
+  const minPrice = prices.length ? Math.min(...prices) : null;
+  const maxPrice = prices.length ? Math.max(...prices) : null;
+  const profile = categoryProfile(intent?.category);
+  const conditionOk = intent?.condition_ok?.length ? intent.condition_ok : ["new", "resealed", "used"];
+  // Cheapest new offer per model: what a resealed unit's discount is measured against
+  const newPriceByCode = new Map();
+  for (const x of items || []) {
+    const code = x.modelCode || modelCodeFromTitle(x.title);
+    if (!code || x.priceRON == null || offerCondition(x) !== "new") continue;
+    if (!(newPriceByCode.get(code) <= x.priceRON)) newPriceByCode.set(code, x.priceRON);
+  }
+
+  return (items || [])
+    .map((x) => {
+      const text = `${x.title || ""} ${x.rawText || ""} ${x.snippet || ""}`;
+      const modelCode = x.modelCode || modelCodeFromTitle(x.title);
+      const specs = x.specs || profile.specs({ ...x, modelCode });
+      const it = {
+        link: x.link,
+        title: x.title || null,
+        priceRON: x.priceRON ?? null,
+        source: x.source || null,
+        modelCode,
+        productKey: x.productKey ?? null,
+        canonical: x.canonical ?? null,
+        sizeInch: x.sizeInch ?? specs.sizeInch ?? null,
+        panelType: guessPanelType(x.title),
+        specs,
+        condition: offerCondition(x),
+        negotiable: typeof x.negotiable === "boolean" ? x.negotiable : detectNegotiable(text),
+        defects: x.defects?.length ? x.defects : detectDefects(text),
+        ...locationFields(x),
+        ...costFields(x),
+      };
+      const price = it.comparePriceRON ?? it.priceRON;
+
+      const differences = [];
+      const pros = [];
+      const cons = [];
+
+      if (price != null && intent?.budget_lei != null) {
+        const delta = Math.round(price - intent.budget_lei);
+        if (delta <= 0) pros.push(`${-delta} lei under your ${intent.budget_lei} lei budget`);
+        else {
+          cons.push(`${delta} lei over your ${intent.budget_lei} lei budget`);
+          differences.push(`Price ${price} lei vs budget ${intent.budget_lei} lei`);
+        }
+      }
+      if (price != null && price === minPrice && prices.length > 1) pros.push("Cheapest of the candidates found");
+      if (it.effectiveCostRON != null && it.effectiveCostRON !== it.priceRON) {
+        differences.push(
+          `Effective cost ~${it.effectiveCostRON} lei (shipping/pickup ${it.shippingRON} lei, no-warranty risk ${it.riskPremiumRON} lei)`
+        );
+      }
+
+      if (it.sizeInch != null) {
+        if (intent?.size_min != null && it.sizeInch < intent.size_min) {
+          differences.push(`${it.sizeInch}" is below the requested minimum of ${intent.size_min}"`);
+          cons.push("Smaller than requested");
+        } else if (intent?.size_max != null && it.sizeInch > intent.size_max) {
+          differences.push(`${it.sizeInch}" is above the requested maximum of ${intent.size_max}"`);
+          cons.push("Larger than requested");
+        } else if (intent?.size_min != null || intent?.size_max != null) {
+          pros.push(`${it.sizeInch}" fits the requested size range`);
+        }
+      } else if (intent?.size_min != null || intent?.size_max != null) {
+        cons.push("Screen size could not be determined from the listing");
+      }
+
+      const specNotes = profile.notes(specs, intent, it);
+      pros.push(...specNotes.pros);
+      cons.push(...specNotes.cons);
+      differences.push(...specNotes.differences);
+
+      let conditionAdj = 0;
+      if (it.condition !== "unknown" && !conditionOk.includes(it.condition)) {
+        conditionAdj -= 20;
+        differences.push(`Condition is ${it.condition}; you asked for ${conditionOk.join("/")}`);
+      }
+      if (it.condition === "new") pros.push("New, with full retail warranty");
+      if (it.condition === "resealed") {
+        // Only claim a discount we can show: vs a new offer for the same model, else the shop's own list price
+        const newPrice = newPriceByCode.get(modelCode);
+        const listPrice = x.oldPriceRON ?? null;
+        if (it.priceRON != null && newPrice > it.priceRON) {
+          pros.push(`Resealed: ${Math.round(newPrice - it.priceRON)} lei below the cheapest new offer (${newPrice} lei), with a shop warranty`);
+        } else if (it.priceRON != null && listPrice > it.priceRON) {
+          pros.push(`Resealed: ${Math.round(listPrice - it.priceRON)} lei below the shop's list price (${listPrice} lei), with a shop warranty`);
+        } else pros.push("Resealed: usually new-like, with a shop warranty");
+      }
+      if (it.condition === "used") cons.push("Used: no shop warranty, inspect before buying");
+      if (it.condition === "unknown") cons.push("Condition not stated");
+      if (it.warrantySource === "text") {
+        if (it.warrantyMonths > 0) pros.push(`${it.warrantyMonths} months warranty stated in the listing`);
+        else cons.push("Listing says no warranty");
+      }
+
+      for (const d of it.defects) cons.push(`Defect: ${d}`);
+      if (it.negotiable === true) pros.push("Price is negotiable");
+
+      if (it.withinRadius === true) pros.push(`Pickup possible: ${it.city}, ${it.distanceKm} km away`);
+      else if (it.withinRadius === false) {
+        differences.push(`${it.city} is ${it.distanceKm} km away, outside your ${it.radiusKm} km radius`);
+        if (it.shipping !== true) cons.push(it.shipping === false ? "Too far for pickup and does not ship" : "Too far for pickup; shipping not mentioned");
+      }
+      if (it.shipping === true && it.source === "olx") pros.push("Seller ships (courier / OLX delivery)");
+
+      const fit = clamp(50 + hardFitScore(it, intent) + conditionAdj, 0, 100);
+      let valueScore = 50;
+      if (price != null && intent?.budget_lei) {
+        valueScore = clamp(50 + ((intent.budget_lei - price) / intent.budget_lei) * 100, 0, 100);
+      } else if (price != null && maxPrice > minPrice) {
+        valueScore = 100 - ((price - minPrice) / (maxPrice - minPrice)) * 100;
+      }
+
+      return {
+        ...it,
+        overallScore: Math.round(0.6 * fit + 0.4 * valueScore),
+        valueScore: Math.round(valueScore),
+        differences,
+        pros,
+        cons,
+      };
+    })
+    .sort((a, b) => b.overallScore - a.overallScore || (a.comparePriceRON || a.priceRON || 1e18) - (b.comparePriceRON || b.priceRON || 1e18));
+}
+
+/* =========================
+   Source adapters (registry)
+========================= */
+
+// A source adapter:
+//   name        key used for candidate.source, debug steps and the `sources` block
+//   hosts       hostnames whose links we accept from this source (subdomains included)
+//   timeoutMs   budget for search + details together
+//   search      ({ env, intent, input, query }) => { items, queryUrl?, error? }
+//   fetchDetails (optional) ({ env, intent, input, items, cached }) => { items, error? } (cached = search results came from cache)
+//   usesIntent  (optional) search depends on intent fields beyond the query (part of its cache key)
+//   ships       (optional) shop that always delivers; items default to shipping: true
+// Adding a source = one new entry here.
+const SOURCE_ADAPTERS = [
+  {
+    name: "pricy",
+    hosts: ["pricy.ro"],
+    timeoutMs: 15000,
+    ships: true,
+    search: ({ env, query }) => searchPricy(env, query),
+  },
+  {
+    name: "reselecto",
+    hosts: ["reselecto.ro"],
+    timeoutMs: 15000,
+    ships: true,
+    search: ({ env, query }) => searchReselecto(env, query),
+  },
+  {
+    name: "emag",
+    hosts: ["emag.ro"],
+    timeoutMs: 15000,
+    ships: true,
+    search: ({ env, query }) => searchEmag(env, query),
+  },
+  {
+    name: "altex",
+    hosts: ["altex.ro"],
+    timeoutMs: 15000,
+    ships: true,
+    search: ({ env, query }) => searchAltex(env, query),
+  },
+  {
+    name: "olx",
+    hosts: ["olx.ro"],
+    timeoutMs: 60000,
+    usesIntent: true,
+    search: ({ env, intent, input, query, fresh }) => searchOlx(env, query, intent, input, { fresh }),
+    fetchDetails: ({ env, items, fresh, cached }) => fetchListingDetails(env, items, { fresh, observe: !cached }),
+  },
+];
+
+async function runSourceAdapter(adapter, ctx) {
+  const steps = [];
+  const fail = (e) => ({ error: String(e?.message || e), items: [] });
+  const deadline = Date.now() + adapter.timeoutMs;
+  const remaining = () => Math.max(0, deadline - Date.now());
+
+  // Search results are cached per source + query (+ the intent fields, for sources that build queries from them)
+  const cacheKey = stableKeyFromObj({
+    source: adapter.name,
+    query: ctx.query,
+    intent: adapter.usesIntent
+      ? {
+          category: ctx.intent?.category ?? null,
+          must_have: ctx.intent?.must_have ?? null,
+          budget: ctx.intent?.budget_lei ?? null,
+          sizeMin: ctx.intent?.size_min ?? null,
+          sizeMax: ctx.intent?.size_max ?? null,
+          city: ctx.input?.city ?? null,
+          radiusKm: ctx.input?.radiusKm ?? null,
+          region: ctx.input?.region ?? null,
+        }
+      : null,
+  });
+  const hit = ctx.fresh ? null : await cacheGet(ctx.env, "source", cacheKey).catch(() => null);
+
+  const found = hit ? hit.value : await withTimeout(adapter.search(ctx), remaining(), `${adapter.name}_timeout`).catch(fail);
+  if (!hit && !found.error) await cachePut(ctx.env, "source", cacheKey, found).catch(() => {});
+
+  const foundItems = filterAllowedHosts(found.items, adapter.hosts);
+  steps.push({
+    name: adapter.fetchDetails ? `${adapter.name}_discovery` : adapter.name,
+    ok: !found.error,
+    count: foundItems.length,
+    cached: Boolean(hit),
+    error: found.error || null,
+  });
+  if (adapter.fetchDetails) ctx.onStage?.(`${adapter.name}_discovery`, { ok: !found.error, count: foundItems.length, error: found.error || null, items: foundItems });
+
+  let result = { ...found, items: foundItems };
+  if (adapter.fetchDetails) {
+    const details = await withTimeout(adapter.fetchDetails({ ...ctx, items: foundItems, cached: Boolean(hit) }), remaining(), `${adapter.name}_details_timeout`).catch(fail);
+    const detailItems = filterAllowedHosts(details.items, adapter.hosts);
+    steps.push({ name: `${adapter.name}_details`, ok: !details.error, count: detailItems.length, error: details.error || null });
+    result = { queryUrl: found.queryUrl, error: details.error, items: detailItems };
+  }
+
+  return {
+    name: adapter.name,
+    cached: Boolean(hit),
+    error: result.error || null,
+    queryUrl: result.queryUrl || null,
+    items: adapter.ships ? result.items.map((x) => ({ ...x, shipping: x.shipping ?? true })) : result.items,
+    steps,
+  };
+}
+
+function filterAllowedHosts(items, hosts) {
+  return (items || []).filter((it) => {
+    const u = safeUrl(it?.link);
+    return u && hosts.some((h) => u.hostname === h || u.hostname.endsWith("." + h));
+  });
+}
+
+function withTimeout(promise, ms, label) {
+  let t;
+  const timeout = new Promise((_, reject) => {
+    t = setTimeout(() => reject(new Error(label || "timeout")), ms);
+  });
+  return Promise.race([Promise.resolve(promise), timeout]).finally(() => clearTimeout(t));
+}
+
+/* =========================
+   Polite fetch (crawled sites only)
+========================= */
+
+// Per-host request rate (token bucket shared through DB) and in-isolate concurrency.
+// robots.txt Crawl-delay can only make a host slower than this.
+const HOST_POLICIES = {
+  "olx.ro": { ratePerSec: 0.5, burst: 2, concurrency: 1 },
+  default: { ratePerSec: 1, burst: 3, concurrency: 2 },
+};
+// Longest we wait for a rate-limit slot before giving up on the request.
+const POLITE_MAX_WAIT_MS = 8000;
+const POLITE_RETRIES = 2;
+const ROBOTS_AGENT = "pricehunterbot";
+
+function crawlerUserAgent(env) {
+  if (env.CRAWLER_USER_AGENT) return env.CRAWLER_USER_AGENT;
+  return `PriceHunterBot/1.0 (price comparison${env.CRAWLER_CONTACT ? `; +${env.CRAWLER_CONTACT}` : ""})`;
+}
+
+function hostPolicy(hostname) {
+  const key = Object.keys(HOST_POLICIES).find((h) => h !== "default" && (hostname === h || hostname.endsWith("." + h)));
+  return HOST_POLICIES[key || "default"];
+}
+
+// fetchWithTimeout for third-party sites: robots.txt, per-host rate limit + concurrency, retry on 429/503.
+// Throws robots_disallowed / rate_limited errors; other failures surface as the Response like fetch does.
+async function politeFetch(env, url, opts = {}, ms = 9000) {
+  const u = new URL(url);
+  const policy = hostPolicy(u.hostname);
+  const headers = { ...(opts.headers || {}), "user-agent": crawlerUserAgent(env) };
+
+  const robots = await robotsFor(env, u);
+  if (!robotsAllows(robots.rules, u.pathname + u.search)) throw new Error(`robots_disallowed:${u.hostname}`);
+
+  const ratePerSec = robots.crawlDelay ? Math.min(policy.ratePerSec, 1 / robots.crawlDelay) : policy.ratePerSec;
+
+  for (let attempt = 0; ; attempt++) {
+    const waitMs = await hostTakeToken(env, u.hostname, ratePerSec, policy.burst);
+    if (waitMs > POLITE_MAX_WAIT_MS) throw new Error(`rate_limited:${u.hostname}`);
+    if (waitMs > 0) await sleep(waitMs);
+
+    const release = await acquireHostSlot(u.hostname, policy.concurrency);
+    let resp;
+    try {
+      resp = await fetchWithTimeout(url, { ...opts, headers }, ms);
+    } finally {
+      release();
+    }
+
+    if ((resp.status !== 429 && resp.status !== 503) || attempt >= POLITE_RETRIES) return resp;
+
+    // Retry-After in seconds (HTTP-date form is rare on these sites); otherwise exponential backoff with jitter
+    const retryAfter = Number(resp.headers.get("retry-after"));
+    const backoff = Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : 1000 * 2 ** attempt + Math.random() * 250;
+    if (backoff > POLITE_MAX_WAIT_MS) return resp;
+    await sleep(backoff);
+  }
+}
+
+const hostSlots = new Map();
+
+async function acquireHostSlot(host, max) {
+  const slot = hostSlots.get(host) || { active: 0, waiters: [] };
+  hostSlots.set(host, slot);
+  if (slot.active >= max) await new Promise((resolve) => slot.waiters.push(resolve));
+  slot.active++;
+  return () => {
+    slot.active--;
+    slot.waiters.shift()?.();
+  };
+}
+
+async function robotsFor(env, u) {
+  const key = u.origin;
+  const hit = await cacheGet(env, "robots", key).catch(() => null);
+  if (hit) return hit.value;
+
+  let robots = { rules: [], crawlDelay: null };
+  let ttlMs = CACHE_TTL_MS.robots;
+  try {
+    const resp = await fetchWithTimeout(`${u.origin}/robots.txt`, { headers: { "user-agent": crawlerUserAgent(env) } }, 5000);
+    if (resp.ok) robots = parseRobotsTxt(await resp.text(), ROBOTS_AGENT);
+    // 4xx = no robots.txt = everything allowed; 5xx = try again soon
+    else if (resp.status >= 500) ttlMs = 60 * 60 * 1000;
+  } catch {
+    ttlMs = 60 * 60 * 1000;
+  }
+
+  await cachePut(env, "robots", key, robots, ttlMs).catch(() => {});
+  return robots;
+}
+
+// Rules from the group naming our agent, else the "*" group. As in RFC 9309, a group names us when its
+// user-agent product token (up to any "/version") equals ours, case-insensitively.
+function parseRobotsTxt(text, agent) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, "").trim();
+    const m = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!m) continue;
+    const field = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (field === "user-agent") {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.split(/[/\s]/)[0].toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if (field === "allow" || field === "disallow") {
+      if (value) current.rules.push({ allow: field === "allow", path: value });
+    } else if (field === "crawl-delay") {
+      const n = Number(value);
+      if (Number.isFinite(n) && n > 0) current.crawlDelay = n;
+    }
+  }
+
+  const group =
+    groups.find((g) => g.agents.includes(agent.toLowerCase())) || groups.find((g) => g.agents.includes("*"));
+  return { rules: group?.rules || [], crawlDelay: group?.crawlDelay || null };
+}
+
+// Longest matching rule wins; Allow wins ties. Supports * and $ wildcards.
+function robotsAllows(rules, path) {
+  let best = null;
+  for (const r of rules || []) {
+    const re = new RegExp("^" + r.path.split("*").map(escapeRe).join(".*").replace(/\\\$$/, "$"));
+    if (!re.test(path)) continue;
+    if (!best || r.path.length > best.path.length || (r.path.length === best.path.length && r.allow)) best = r;
+  }
+  return !best || best.allow;
+}
+
+/* =========================
+   Source: Pricy
+========================= */
+
+async function searchPricy(env, q) {
+  const queryUrl = `https://www.pricy.ro/productsv2/magazin-storel.ro/generic-color-verde?q=${encodeURIComponent(q)}`;
+  const resp = await politeFetch(env, queryUrl, {
+    headers: { "accept-language": "ro-RO,ro;q=0.9" },
+  });
+
+  if (!resp.ok) return { error: `pricy_http_${resp.status}`, queryUrl, items: [] };
+  const html = await resp.text();
+
+  return { queryUrl, items: parsePricySearchHtml(html) };
+}
+
+// Pure (no fetch) so recorded pages can be replayed against it
+function parsePricySearchHtml(html) {
+  const items = [];
+  const re = /href="([^"]+)"[\s\S]{0,500}?(\d[\d.\s]{2,})\s*lei/gi;
+
+  let m;
+  while ((m = re.exec(html)) && items.length < 120) {
+    const hrefRaw = m[1] || "";
+    const priceRON = parseInt(m[2].replace(/\s+/g, "").replace(/\./g, ""), 10);
+    if (!Number.isFinite(priceRON) || priceRON <= 0) continue;
+
+    const link = hrefRaw.startsWith("http") ? hrefRaw : new URL(hrefRaw, "https://www.pricy.ro").toString();
+    const u = safeUrl(link);
+    if (!u) continue;
+    if (!["pricy.ro", "www.pricy.ro"].includes(u.hostname)) continue;
+    if (!u.pathname.includes("/ProductUrlId/")) continue;
+
+    const title = titleFromPricyPath(u.pathname);
+
+    items.push({ title: title || null, link: u.toString(), priceRON });
+  }
+
+  const best = new Map();
+  for (const it of items) {
+    const prev = best.get(it.link);
+    if (!prev || it.priceRON < prev.priceRON) best.set(it.link, it);
+  }
+
+  return [...best.values()].sort((a, b) => a.priceRON - b.priceRON).slice(0, 10);
+}
+
+function titleFromPricyPath(pathname) {
+  const parts = (pathname || "").split("/").filter(Boolean);
+  const idx = parts.findIndex((p) => p === "ProductUrlId");
+  if (idx === -1) return null;
+  const slug = parts[idx + 2] || "";
+  if (!slug) return null;
+  return decodeURIComponent(slug).replace(/[-_]+/g, " ").replace(/\s+/g, " ").trim();
+}
+
+/* =========================
+   Source: Reselecto (heuristic)
+========================= */
+
+async function searchReselecto(env, q) {
+  const queryUrl = `https://www.reselecto.ro/?s=${encodeURIComponent(q)}&post_type=product`;
+
+  const resp = await politeFetch(env, queryUrl, {
+    headers: { "accept-language": "ro-RO,ro;q=0.9" },
+  });
+
+  if (!resp.ok) return { error: `reselecto_http_${resp.status}`, queryUrl, items: [] };
+
+  const html = await resp.text();
+
+  return { queryUrl, items: parseReselectoSearchHtml(html) };
+}
+
+function parseReselectoSearchHtml(html) {
+  const items = [];
+  // WooCommerce-ish tile: link + title + lei price
+  const tileRe =
+    /<a[^>]+href="([^"]+)"[^>]*>[\s\S]{0,800}?<h2[^>]*>([\s\S]*?)<\/h2>[\s\S]{0,1200}?(\d[\d.\s]{2,})\s*lei/gi;
+
+  let m;
+  while ((m = tileRe.exec(html)) && items.length < 20) {
+    const link = m[1];
+    const title = normalizeText(stripHtml(m[2]));
+    const priceRON = parseInt(m[3].replace(/\s+/g, "").replace(/\./g, ""), 10);
+    if (!link || !title || !Number.isFinite(priceRON)) continue;
+
+    items.push({
+      title,
+      link: link.startsWith("http") ? link : new URL(link, "https://www.reselecto.ro").toString(),
+      priceRON,
+      rawText: null,
+    });
+  }
+
+  return items;
+}
+
+/* =========================
+   Source: eMAG
+========================= */
+
+async function searchEmag(env, q) {
+  const queryUrl = `https://www.emag.ro/search/${encodeURIComponent(q)}`;
+  const resp = await politeFetch(env, queryUrl, {
+    headers: { "accept-language": "ro-RO,ro;q=0.9" },
+  });
+
+  if (!resp.ok) return { error: `emag_http_${resp.status}`, queryUrl, items: [] };
+  const html = await resp.text();
+
+  return { queryUrl, items: parseEmagSearchHtml(html).slice(0, 20) };
+}
+
+function parseEmagSearchHtml(html) {
+  const fromLd = jsonLdProducts(html)
+    .map((p) => productFromJsonLd(p, "https://www.emag.ro"))
+    .filter((x) => x.link && x.title && x.priceRON != null);
+  if (fromLd.length) return dedupeByLink(fromLd);
+
+  // Fallback: product cards ("card-item ... data-name / data-url", product-new-price / product-old-price)
+  const items = [];
+  for (const tile of splitTiles(html, /<div[^>]+class="[^"]*\bcard-item\b/gi)) {
+    const link = attrValue(tile, "data-url") || (tile.match(/<a[^>]+href="(https:\/\/www\.emag\.ro\/[^"]+\/pd\/[^"]+)"/i) || [])[1];
+    const title = attrValue(tile, "data-name") || normalizeText(stripHtml((tile.match(/class="[^"]*card-v2-title[^"]*"[^>]*>([\s\S]*?)<\/a>/i) || [])[1]));
+    const priceRON = parseRonAmount(classInnerHtml(tile, "product-new-price"));
+    if (!link || !title || priceRON == null) continue;
+
+    items.push({
+      title: decodeHtml(title),
+      link: new URL(decodeHtml(link), "https://www.emag.ro").toString(),
+      priceRON,
+      oldPriceRON: parseRonAmount(classInnerHtml(tile, "product-old-price") || classInnerHtml(tile, "rrp-lp30d")),
+      inStock: stockFromText(classInnerHtml(tile, "product-stock-status")),
+      rawText: null,
+      extractedBy: "html",
+    });
+  }
+  return dedupeByLink(items);
+}
+
+/* =========================
+   Source: Altex
+========================= */
+
+async function searchAltex(env, q) {
+  const queryUrl = `https://altex.ro/cauta/?q=${encodeURIComponent(q)}`;
+  const resp = await politeFetch(env, queryUrl, {
+    headers: { "accept-language": "ro-RO,ro;q=0.9" },
+  });
+
+  if (!resp.ok) return { error: `altex_http_${resp.status}`, queryUrl, items: [] };
+  const html = await resp.text();
+
+  return { queryUrl, items: parseAltexSearchHtml(html).slice(0, 20) };
+}
+
+function parseAltexSearchHtml(html) {
+  const fromLd = jsonLdProducts(html)
+    .map((p) => productFromJsonLd(p, "https://altex.ro"))
+    .filter((x) => x.link && x.title && x.priceRON != null);
+  if (fromLd.length) return dedupeByLink(fromLd);
+
+  // Next.js payload: product objects carry name/price/regular_price/url_key/sku/stock_status
+  const next = extractNextData(html);
+  if (next) {
+    const items = findObjects(next, (o) => typeof o.name === "string" && o.price != null && (o.url_key || o.url))
+      .map((o) => ({
+        title: normalizeText(o.name),
+        link: o.url
+          ? safeUrl(String(o.url), "https://altex.ro")?.toString() ?? null
+          : `https://altex.ro/${o.url_key}/cpd/${encodeURIComponent(o.sku || "")}/`,
+        priceRON: parseRonAmount(o.special_price ?? o.price),
+        oldPriceRON: o.regular_price != null && parseRonAmount(o.regular_price) !== parseRonAmount(o.special_price ?? o.price) ? parseRonAmount(o.regular_price) : null,
+        inStock: o.stock_status == null ? null : Number(o.stock_status) > 0 || String(o.stock_status).toLowerCase() === "in_stock",
+        rawText: null,
+        extractedBy: "next_data",
+      }))
+      .filter((x) => x.title && x.link && x.priceRON != null);
+    if (items.length) return dedupeByLink(items);
+  }
+
+  // Fallback: product tiles with a /cpd/ link; the lower of two prices is the current one
+  const items = [];
+  for (const tile of splitTiles(html, /<li[^>]+class="[^"]*Products-item/gi)) {
+    const href = (tile.match(/<a[^>]+href="([^"]*\/cpd\/[^"]*)"/i) || [])[1];
+    const title = normalizeText(stripHtml((tile.match(/class="[^"]*Product-name[^"]*"[^>]*>([\s\S]*?)<\/(?:span|h2|div)>/i) || [])[1]));
+    const flat = tile.replace(/<\/?(?:span|sup|del|s)\b[^>]*>/gi, "");
+    const prices = [...flat.matchAll(/(\d[\d.\s]*(?:,\d{2})?)\s*lei/gi)]
+      .map((m) => parseRonAmount(m[1]))
+      .filter((n) => n != null);
+    if (!href || !title || !prices.length) continue;
+
+    const priceRON = Math.min(...prices);
+    const maxPrice = Math.max(...prices);
+    items.push({
+      title: decodeHtml(title),
+      link: new URL(decodeHtml(href), "https://altex.ro").toString(),
+      priceRON,
+      oldPriceRON: maxPrice > priceRON ? maxPrice : null,
+      inStock: stockFromText(stripHtml(tile)),
+      rawText: null,
+      extractedBy: "html",
+    });
+  }
+  return dedupeByLink(items);
+}
+
+/* =========================
+   Source: OLX (search + listing pages)
+========================= */
+
+const OLX_MAX_PAGES = 3;
+const OLX_MAX_ITEMS = 60;
+// Listing pages fetched per search; the rest keep their search-result fields
+const OLX_DETAIL_PAGES = 6;
+const OLX_API_PAGE_SIZE = 40;
+// Radius choices OLX accepts around a city
+const OLX_SEARCH_DISTANCES = [0, 2, 5, 10, 15, 30, 50, 75, 100];
+
+// Search-page category paths; unknown categories (or a 404) search all of OLX
+const OLX_CATEGORY_PATHS = {
+  tv: "electronice-si-electrocasnice/televizoare",
+  laptop: "electronice-si-electrocasnice/laptop-calculator",
+  phone: "electronice-si-electrocasnice/telefoane",
+  audio: "electronice-si-electrocasnice/audio-hi-fi-si-profesionale",
+};
+
+// Public JSON API first (nationwide only: it filters location by numeric ids we don't have),
+// then the HTML search pages, then Google CSE discovery when OLX itself returns nothing.
+async function searchOlx(env, q, intent, input, opts = {}) {
+  const filters = {
+    query: q,
+    category: intent?.category || null,
+    city: input.city || null,
+    radiusKm: searchRadiusKm(input),
+    region: input.region || null,
+    priceFrom: null,
+    priceTo: intent?.budget_lei ?? input.budget ?? null,
+  };
+
+  let res = { error: null, items: [] };
+  if (!filters.city && !filters.region) res = await searchOlxApi(env, filters).catch((e) => ({ error: String(e?.message || e), items: [] }));
+  if (!res.items.length) res = await searchOlxPages(env, filters).catch((e) => ({ error: String(e?.message || e), items: [] }));
+  if (res.items.length) return res;
+
+  const cse = await discoverOlxListings(env, intent, input, opts);
+  return cse.items.length ? cse : { ...res, error: res.error || cse.error };
+}
+
+async function searchOlxApi(env, f) {
+  const items = [];
+  let queryUrl = null;
+  let next = olxApiUrl(f, 0);
+
+  for (let page = 0; next && page < OLX_MAX_PAGES && items.length < OLX_MAX_ITEMS; page++) {
+    queryUrl = queryUrl || next;
+    const resp = await politeFetch(env, next, { headers: { accept: "application/json", "accept-language": "ro-RO,ro;q=0.9" } });
+    if (!resp.ok) return { error: `olx_api_http_${resp.status}`, queryUrl, items };
+
+    const data = await resp.json();
+    items.push(...(data?.data || []).map(olxOfferFromApi).filter((x) => x.link && x.title));
+    next = data?.links?.next?.href || null;
+  }
+
+  return { queryUrl, items: dedupeByLink(items).slice(0, OLX_MAX_ITEMS), via: "api" };
+}
+
+function olxApiUrl(f, offset) {
+  const u = new URL("https://www.olx.ro/api/v1/offers/");
+  u.searchParams.set("offset", String(offset));
+  u.searchParams.set("limit", String(OLX_API_PAGE_SIZE));
+  u.searchParams.set("query", f.query);
+  if (f.priceFrom != null) u.searchParams.set("filter_float_price:from", String(Math.floor(f.priceFrom)));
+  if (f.priceTo != null) u.searchParams.set("filter_float_price:to", String(Math.ceil(f.priceTo)));
+  return u.toString();
+}
+
+async function searchOlxPages(env, f) {
+  const items = [];
+  let category = OLX_CATEGORY_PATHS[f.category] || null;
+  const firstUrl = olxSearchUrl(f, category, 1);
+  let queryUrl = firstUrl;
+
+  for (let page = 1; page <= OLX_MAX_PAGES && items.length < OLX_MAX_ITEMS; page++) {
+    let url = olxSearchUrl(f, category, page);
+    let resp = await politeFetch(env, url, { headers: { "accept-language": "ro-RO,ro;q=0.9" } });
+    // Category paths drift; retry the same page without one
+    if (resp.status === 404 && category) {
+      category = null;
+      url = olxSearchUrl(f, null, page);
+      if (page === 1) queryUrl = url;
+      resp = await politeFetch(env, url, { headers: { "accept-language": "ro-RO,ro;q=0.9" } });
+    }
+    if (!resp.ok) {
+      if (page === 1) return { error: `olx_http_${resp.status}`, queryUrl, items: [] };
+      break;
+    }
+
+    const html = await resp.text();
+    const found = parseOlxSearchHtml(html);
+    items.push(...found);
+    // Past the last page OLX serves page 1 again or an empty grid
+    if (!found.length || !new RegExp(`[?&;]page=${page + 1}\\b`).test(html)) break;
+  }
+
+  return { queryUrl, items: dedupeByLink(items).slice(0, OLX_MAX_ITEMS), via: "html" };
+}
+
+// https://www.olx.ro/<category | oferte>/<city | region>/q-<words>/?search[...]&page=N
+function olxSearchUrl(f, category, page) {
+  const words = normalizeText(f.query).toLowerCase().split(" ").map(encodeURIComponent).join("-");
+  const location = f.city || f.region;
+  const u = new URL(`https://www.olx.ro/${category || "oferte"}/${location ? location + "/" : ""}q-${words}/`);
+  if (f.priceFrom != null) u.searchParams.set("search[filter_float_price:from]", String(Math.floor(f.priceFrom)));
+  if (f.priceTo != null) u.searchParams.set("search[filter_float_price:to]", String(Math.ceil(f.priceTo)));
+  if (f.city && f.radiusKm != null) {
+    const dist = OLX_SEARCH_DISTANCES.find((d) => d >= f.radiusKm) ?? OLX_SEARCH_DISTANCES[OLX_SEARCH_DISTANCES.length - 1];
+    u.searchParams.set("search[dist]", String(dist));
+  }
+  if (page > 1) u.searchParams.set("page", String(page));
+  return u.toString();
+}
+
+// "Cluj-Napoca" -> "cluj-napoca"
+function olxLocationSlug(v) {
+  const slug = normalizeText(String(v ?? ""))
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || null;
+}
+
+function parseOlxSearchHtml(html) {
+  // Search pages embed the ads they render as a JSON string in window.__PRERENDERED_STATE__
+  const state = extractOlxPrerenderedState(html);
+  if (state) {
+    const items = findObjects(state, (o) => typeof o.url === "string" && o.url.includes("/d/") && typeof o.title === "string")
+      .map(olxOfferFromState)
+      .filter((x) => x.link && x.title);
+    if (items.length) return dedupeByLink(items);
+  }
+
+  // Fallback: listing cards
+  const items = [];
+  for (const card of splitTiles(html, /<div[^>]+data-cy="l-card"/gi)) {
+    const href = (card.match(/<a[^>]+href="([^"]*\/d\/[^"]*)"/i) || [])[1];
+    const title = normalizeText(stripHtml((card.match(/<h[4-6][^>]*>([\s\S]*?)<\/h[4-6]>/i) || [])[1]));
+    const priceHtml = (card.match(/data-testid="ad-price"[^>]*>([\s\S]*?)<\/p>/i) || [])[1] || "";
+    const locationDate = normalizeText(stripHtml((card.match(/data-testid="location-date"[^>]*>([\s\S]*?)<\/p>/i) || [])[1]));
+    if (!href || !title) continue;
+
+    items.push({
+      title: decodeHtml(title),
+      link: olxCanonicalLink(decodeHtml(href)),
+      priceRON: /lei/i.test(priceHtml) ? parseRonAmount(priceHtml) : null,
+      negotiable: /negociabil/i.test(priceHtml) || null,
+      condition: null,
+      city: locationDate ? decodeHtml(locationDate.split(" - ")[0]) : null,
+      region: null,
+      shipping: null,
+      image: attrValue(card, "src"),
+      rawText: null,
+      extractedBy: "html",
+    });
+  }
+  return dedupeByLink(items);
+}
+
+function extractOlxPrerenderedState(html) {
+  const m = html.match(/window\.__PRERENDERED_STATE__\s*=\s*("(?:[^"\\]|\\.)*")/);
+  if (!m) return null;
+  try {
+    return JSON.parse(JSON.parse(m[1]));
+  } catch {
+    return null;
+  }
+}
+
+function olxOfferFromApi(o) {
+  const param = (key) => (o.params || []).find((p) => p.key === key)?.value || null;
+  const price = param("price");
+  return {
+    title: o.title ? normalizeText(o.title) : null,
+    link: o.url ? olxCanonicalLink(o.url) : null,
+    priceRON: price && (price.currency || "RON") === "RON" ? parseRonAmount(price.value) : null,
+    negotiable: price?.negotiable ?? null,
+    condition: olxCondition(param("state")?.key),
+    city: o.location?.city?.name || null,
+    region: o.location?.region?.name || null,
+    shipping: o.delivery?.rock?.active === true ? true : detectShipping(stripHtml(o.description)),
+    image: String(o.photos?.[0]?.link || "").replace(/;s=\{width\}x\{height\}$/, "") || null,
+    rawText: o.description ? normalizeText(stripHtml(o.description)).slice(0, 1500) : null,
+    extractedBy: "olx_api",
+  };
+}
+
+function olxOfferFromState(o) {
+  const price = o.price?.regularPrice;
+  const state = (o.params || []).find((p) => p.key === "state");
+  return {
+    title: normalizeText(o.title),
+    link: olxCanonicalLink(o.url),
+    priceRON: price && (price.currencyCode || "RON") === "RON" ? parseRonAmount(price.value) : null,
+    negotiable: price?.negotiable ?? null,
+    condition: olxCondition(state?.normalizedValue),
+    city: o.location?.cityName || null,
+    region: o.location?.regionName || null,
+    shipping: o.delivery?.rock?.active === true ? true : detectShipping(stripHtml(o.description)),
+    image: [].concat(o.photos || [])[0] || null,
+    rawText: o.description ? normalizeText(stripHtml(o.description)).slice(0, 1500) : null,
+    extractedBy: "olx_state",
+  };
+}
+
+function olxCondition(key) {
+  const k = String(key || "").toLowerCase();
+  if (k === "new" || k === "nou") return "new";
+  if (k === "used" || k === "utilizat" || k === "damaged") return "used";
+  return null;
+}
+
+// Drop tracking params/fragments so the same ad keeps one link (history, alerts and grouping key on it)
+function olxCanonicalLink(href) {
+  try {
+    const u = new URL(href, "https://www.olx.ro");
+    return `${u.origin}${u.pathname}`;
+  } catch {
+    return null;
+  }
+}
+
+/* =========================
+   Locations (pickup distance, shipping)
+========================= */
+
+const DEFAULT_RADIUS_KM = 50;
+
+// County seats plus the other large towns, keyed by olxLocationSlug(name): [lat, lon]
+const RO_LOCALITIES = {
+  bucuresti: [44.4268, 26.1025],
+  "cluj-napoca": [46.7712, 23.6236],
+  timisoara: [45.7489, 21.2087],
+  iasi: [47.1585, 27.6014],
+  constanta: [44.1598, 28.6348],
+  craiova: [44.3302, 23.7949],
+  brasov: [45.6427, 25.5887],
+  galati: [45.4353, 28.008],
+  ploiesti: [44.9365, 26.0129],
+  oradea: [47.0465, 21.9189],
+  braila: [45.2692, 27.9575],
+  arad: [46.1866, 21.3123],
+  pitesti: [44.8565, 24.8692],
+  sibiu: [45.7983, 24.1256],
+  bacau: [46.5671, 26.9146],
+  "targu-mures": [46.5455, 24.5625],
+  "baia-mare": [47.6567, 23.5681],
+  buzau: [45.1372, 26.8165],
+  botosani: [47.7486, 26.6694],
+  "satu-mare": [47.7928, 22.8857],
+  "ramnicu-valcea": [45.0997, 24.3693],
+  "drobeta-turnu-severin": [44.6319, 22.6561],
+  suceava: [47.6514, 26.2556],
+  "piatra-neamt": [46.9275, 26.3708],
+  "targu-jiu": [45.0342, 23.2747],
+  targoviste: [44.9254, 25.4567],
+  focsani: [45.6966, 27.1865],
+  bistrita: [47.1357, 24.4935],
+  resita: [45.3008, 21.8892],
+  tulcea: [45.1716, 28.7914],
+  slatina: [44.4297, 24.3642],
+  calarasi: [44.2058, 27.3139],
+  "alba-iulia": [46.0669, 23.57],
+  giurgiu: [43.9037, 25.9699],
+  deva: [45.8781, 22.9116],
+  hunedoara: [45.7697, 22.9203],
+  zalau: [47.1911, 23.0573],
+  "sfantu-gheorghe": [45.8636, 25.7875],
+  vaslui: [46.6407, 27.7276],
+  barlad: [46.2306, 27.6697],
+  slobozia: [44.5647, 27.3633],
+  alexandria: [43.9686, 25.3333],
+  "miercurea-ciuc": [46.3595, 25.8017],
+  medias: [46.1639, 24.3508],
+  turda: [46.5667, 23.7833],
+  petrosani: [45.4122, 23.3733],
+  mangalia: [43.8172, 28.5828],
+  navodari: [44.3211, 28.6133],
+  voluntari: [44.4925, 26.1764],
+  "popesti-leordeni": [44.3797, 26.1703],
+  otopeni: [44.55, 26.0667],
+  bragadiru: [44.3711, 25.9756],
+  chiajna: [44.4617, 25.9733],
+  floresti: [46.7475, 23.4908],
+  onesti: [46.2586, 26.7694],
+  roman: [46.9217, 26.9253],
+  pascani: [47.2497, 26.7225],
+  campina: [45.125, 25.7333],
+  sighisoara: [46.2197, 24.7964],
+  fagaras: [45.8447, 24.9742],
+  lugoj: [45.6886, 21.9031],
+  caracal: [44.1122, 24.3472],
+  dej: [47.1417, 23.8778],
+  "odorheiu-secuiesc": [46.3042, 25.2947],
+  "targu-secuiesc": [46.0, 26.1333],
+  campulung: [45.2678, 25.0464],
+  "ramnicu-sarat": [45.3833, 27.05],
+  "curtea-de-arges": [45.1389, 24.6794],
+  adjud: [46.1, 27.1833],
+  falticeni: [47.4597, 26.3],
+  radauti: [47.8425, 25.9197],
+  "vatra-dornei": [47.35, 25.3667],
+  husi: [46.6725, 28.0592],
+  tecuci: [45.8492, 27.4342],
+  fetesti: [44.4158, 27.8239],
+  urziceni: [44.7167, 26.6333],
+  oltenita: [44.0867, 26.6367],
+  "sighetu-marmatiei": [47.9306, 23.8869],
+  carei: [47.6833, 22.4667],
+  salonta: [46.8, 21.65],
+  "baile-herculane": [44.8789, 22.4142],
+  mioveni: [44.9569, 24.9403],
+  sebes: [45.9583, 23.5711],
+  aiud: [46.3, 23.7167],
+  blaj: [46.1753, 23.9164],
+  gherla: [47.0333, 23.9],
+  reghin: [46.7758, 24.7083],
+  codlea: [45.6969, 25.4439],
+  sacele: [45.62, 25.6942],
+  predeal: [45.5, 25.5667],
+  sinaia: [45.35, 25.55],
+};
+
+// Accepts names or slugs ("Iași", "iasi", "Bucuresti Sector 3"); null when not in RO_LOCALITIES
+function localityCoords(name) {
+  const slug = olxLocationSlug(name);
+  if (!slug) return null;
+  if (RO_LOCALITIES[slug]) return RO_LOCALITIES[slug];
+  if (slug.startsWith("bucuresti") || slug.startsWith("sector-")) return RO_LOCALITIES.bucuresti;
+  return null;
+}
+
+function searchRadiusKm(input) {
+  if (input?.radiusKm != null && input.radiusKm >= 0) return input.radiusKm;
+  return input?.city ? DEFAULT_RADIUS_KM : null;
+}
+
+function haversineKm([lat1, lon1], [lat2, lon2]) {
+  const rad = Math.PI / 180;
+  const a =
+    Math.sin(((lat2 - lat1) * rad) / 2) ** 2 +
+    Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(((lon2 - lon1) * rad) / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(a));
+}
+
+// withinRadius stays null when either end is unknown or no city was given
+function candidateLocation(c, origin, radiusKm) {
+  const here = localityCoords(c.city);
+  const distanceKm = origin && here ? Math.round(haversineKm(origin, here)) : null;
+  return {
+    city: c.city ?? null,
+    distanceKm,
+    radiusKm: origin ? radiusKm : null,
+    withinRadius: distanceKm != null && radiusKm != null ? distanceKm <= radiusKm : null,
+    shipping: c.shipping ?? null,
+  };
+}
+
+function locationFields(c) {
+  return {
+    city: c?.city ?? null,
+    distanceKm: c?.distanceKm ?? null,
+    radiusKm: c?.radiusKm ?? null,
+    withinRadius: c?.withinRadius ?? null,
+    shipping: c?.shipping ?? null,
+  };
+}
+
+// true = courier / OLX delivery offered, false = explicitly pickup only, null = not mentioned
+function detectShipping(text) {
+  const t = String(text || "").toLowerCase();
+  // Refusals first: "nu se face livrare" / "livrare doar personala" also contain the positive "livrare"
+  if (
+    /nu (fac|ofer|trimit|livrez)\b[^.]{0,20}(livrare|curier|colet|in tar|în țar)|nu trimit|nu se (face|fac|ofer[aă]) livrare|(doar|numai) (predare|ridicare)|(livrare|predare) doar personal[aă]?|f[aă]r[aă] livrare|nu se trimite/.test(t)
+  ) {
+    return false;
+  }
+  if (/livrare|curier|fan ?courier|sameday|cargus|\bdpd\b|\bgls\b|easybox|ramburs|trimit [iî]n (toat[aă] )?[tț]ar[aă]|expediez|livrez/.test(t)) return true;
+  return null;
+}
+
+/* =========================
+   Total cost (shipping, warranty, risk)
+========================= */
+
+// Warranty assumed when the listing doesn't state one (months)
+const DEFAULT_WARRANTY_MONTHS = { new: 24, resealed: 12, used: 0 };
+
+function costSettings(env) {
+  const num = (v, d) => {
+    const n = Number(v);
+    return v != null && v !== "" && Number.isFinite(n) && n >= 0 ? n : d;
+  };
+  return {
+    riskPremiumPct: num(env.RISK_PREMIUM_PCT, 10),
+    courierRON: num(env.COURIER_ESTIMATE_RON, 30),
+    shopShippingRON: num(env.SHOP_SHIPPING_RON, 20),
+    pickupRONPerKm: num(env.PICKUP_RON_PER_KM, 0.5),
+  };
+}
+
+function candidateCost(c, settings, rankBy) {
+  const shop = SOURCE_ADAPTERS.some((a) => a.ships && a.name === c.source);
+  const text = `${c.title || ""} ${c.rawText || ""} ${c.snippet || ""}`;
+
+  // Shops: the delivery cost they state, else SHOP_SHIPPING_RON. Others: courier estimate, or the drive if
+  // that's cheaper / the only option
+  const pickupRON = c.distanceKm != null ? Math.round(c.distanceKm * 2 * settings.pickupRONPerKm) : null;
+  let shippingRON;
+  if (shop) shippingRON = c.shippingCostRON ?? parseShippingCostRON(text) ?? settings.shopShippingRON;
+  else if (c.shipping === false) shippingRON = pickupRON ?? 0;
+  else shippingRON = pickupRON != null ? Math.min(pickupRON, settings.courierRON) : settings.courierRON;
+
+  const stated = parseWarrantyMonths(text);
+  const condition = offerCondition(c);
+  const warrantyMonths = stated ?? DEFAULT_WARRANTY_MONTHS[condition] ?? (shop ? DEFAULT_WARRANTY_MONTHS.new : 0);
+
+  // Full premium without warranty, none from 12 months up
+  const riskPremiumRON =
+    c.priceRON != null ? Math.round(((c.priceRON * settings.riskPremiumPct) / 100) * Math.max(0, 12 - warrantyMonths) / 12) : 0;
+  const effectiveCostRON = c.priceRON != null ? Math.round(c.priceRON + shippingRON + riskPremiumRON) : null;
+
+  return {
+    shippingRON,
+    warrantyMonths,
+    warrantySource: stated != null ? "text" : "default",
+    riskPremiumRON,
+    effectiveCostRON,
+    comparePriceRON: rankBy === "price" ? c.priceRON ?? null : effectiveCostRON,
+  };
+}
+
+// Delivery cost stated in shop text: "livrare gratuita" = 0, "transport 29,99 lei" = 29.99; null = not stated
+function parseShippingCostRON(text) {
+  const t = String(text || "");
+  if (/(?:livrare|transport)\s+(?:gratuit[aă]?|gratis)|free (?:shipping|delivery)/i.test(t)) return 0;
+  const m = t.match(/(?:livrare|transport)\s*(?::|de)?\s*(\d{1,3}(?:[.,]\d{1,2})?)\s*lei/i);
+  return m ? Number(m[1].replace(",", ".")) : null;
+}
+
+function costFields(c) {
+  return {
+    shippingRON: c?.shippingRON ?? null,
+    warrantyMonths: c?.warrantyMonths ?? null,
+    warrantySource: c?.warrantySource ?? null,
+    riskPremiumRON: c?.riskPremiumRON ?? null,
+    effectiveCostRON: c?.effectiveCostRON ?? null,
+    comparePriceRON: c?.comparePriceRON ?? null,
+  };
+}
+
+// "garanție 24 luni", "2 ani garantie", "garantie: 6 luni" -> months; "fără garanție" -> 0; null when not mentioned
+function parseWarrantyMonths(text) {
+  const t = String(text || "").toLowerCase();
+  if (/f[aă]r[aă] garan[tț]ie|nu (are|ofer|mai are) garan[tț]ie|no warranty/.test(t)) return 0;
+  const m =
+    t.match(/garan[tț]i[ea]\s*(?:de\s*|:\s*|inclus[aă]\s*)?(\d{1,2})\s*(luni|lun[aă]|ani|an)\b/) ||
+    t.match(/(\d{1,2})\s*(luni|lun[aă]|ani|an)\s*(?:de\s*)?garan[tț]ie/) ||
+    t.match(/(\d{1,2})[- ]?(months?|years?)\s*warranty/);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return /^an|^year/.test(m[2]) ? n * 12 : n;
+}
+
+/* =========================
+   OLX discovery via Google CSE + page fetch
+========================= */
+
+async function discoverOlxListings(env, intent, input, opts = {}) {
+  // If no Google CSE, skip
+  if (!env.GOOGLE_CSE_API_KEY || !env.GOOGLE_CSE_CX) return { error: "missing_google_cse_env", items: [] };
+
+  const base = intent?.search_query || input.q;
+
+  // Build a focused discovery query:
+  // - include "site:olx.ro"
+  // - include budget/size hints where available
+  // - for TVs, include oled and inch range words
+  let q = `site:olx.ro ${base}`;
+  if (intent?.category === "tv") {
+    q += " televizor";
+    if ((intent?.must_have || []).some((x) => String(x).toLowerCase().includes("oled"))) q += " oled";
+    if (intent?.size_min != null || intent?.size_max != null) q += " inch";
+  }
+  if (intent?.budget_lei != null) q += ` ${Math.floor(intent.budget_lei)} lei`;
+
+  const res = await googleCseSearch(env, q, 8, { purpose: "discovery", fresh: opts.fresh });
+  if (res.error) return { error: res.error, items: [] };
+
+  // Keep only olx.ro listing URLs (best effort)
+  const items = [];
+  for (const it of res.items || []) {
+    if (!it.link) continue;
+    try {
+      const u = new URL(it.link);
+      if (!u.hostname.endsWith("olx.ro")) continue;
+      // Keep likely listing pages (not category root). OLX often contains /d/oferta/...
+      if (!u.pathname.includes("/d/")) continue;
+      items.push({
+        title: it.title || null,
+        link: it.link,
+        snippet: it.snippet || null,
+      });
+    } catch {}
+  }
+
+  return { items: items.slice(0, 6) };
+}
+
+// Listing pages for the first OLX_DETAIL_PAGES results; page fields win over search-result fields.
+// Later results that already carry a price (direct OLX search) are kept as they are.
+// opts.observe: record what we learn about each ad for lifecycle tracking (off for cached search results)
+async function fetchListingDetails(env, discovered, opts = {}) {
+  const items = [];
+  const observed = [];
+  const list = discovered || [];
+  for (const it of list.slice(0, OLX_DETAIL_PAGES)) {
+    try {
+      const hit = opts.fresh ? null : await cacheGet(env, "details", it.link).catch(() => null);
+      if (hit) {
+        items.push(mergeListingDetails(it, hit.value));
+        continue;
+      }
+
+      // politeFetch throws on robots_disallowed / rate_limited: as inconclusive as a 5xx
+      const page = await checkListingPage(env, it.link, it).catch(() => ({ status: null, httpStatus: null, parsed: null }));
+      if (page.status) observed.push(listingObservation(page.parsed ? mergeListingDetails(it, page.parsed) : it, page.status, true));
+
+      // Inconclusive (blocked, 5xx): keep what search told us. Removed/sold ads are not candidates.
+      if (!page.status) {
+        if (it.priceRON != null) items.push(it);
+        continue;
+      }
+      if (page.status !== "active") continue;
+
+      items.push(mergeListingDetails(it, page.parsed));
+      await cachePut(env, "details", it.link, page.parsed).catch(() => {});
+    } catch {}
+  }
+  for (const it of list.slice(OLX_DETAIL_PAGES)) {
+    if (it.priceRON == null) continue;
+    items.push(it);
+    observed.push(listingObservation(it, "active", false));
+  }
+  if (opts.observe) await listingsObserve(env, observed).catch(() => {});
+
+  // Deduplicate by link
+  const byLink = new Map();
+  for (const x of items) byLink.set(x.link, x);
+  return { items: [...byLink.values()] };
+}
+
+function mergeListingDetails(found, details) {
+  const out = { ...found };
+  for (const [k, v] of Object.entries(details || {})) {
+    if (v == null) continue;
+    // The first "lei" on a page is a guess; a price from OLX's own search data is not
+    if (k === "priceRON" && details.fieldSources?.priceRON === "lei_heuristic" && found.priceRON != null) continue;
+    out[k] = v;
+  }
+  if (out.priceRON !== details?.priceRON && out.fieldSources) out.fieldSources = { ...out.fieldSources, priceRON: "search" };
+  out.snippet = found.snippet || details?.snippet || null;
+  return out;
+}
+
+// Structured first (schema.org Product/Offer in JSON-LD), heuristics only for missing fields.
+// fieldSources records which method produced each field.
+function parseListingPage(html, discovered) {
+  const fieldSources = {};
+  const pick = (field, candidates) => {
+    for (const [method, value] of candidates) {
+      if (value == null || value === "") continue;
+      fieldSources[field] = method;
+      return value;
+    }
+    fieldSources[field] = null;
+    return null;
+  };
+
+  const ld = listingFactsFromJsonLd(jsonLdProducts(html)[0]);
+  const olxState = extractOlxPrerenderedState(html);
+  const olxLocation = olxState ? findObjects(olxState, (o) => typeof o.cityName === "string", 1)[0] : null;
+  const olxDelivery = olxState ? findObjects(olxState, (o) => typeof o.rock?.active === "boolean", 1)[0] : null;
+
+  // Heuristic extract:
+  // - title: og:title or <title>
+  // - description: meta description + some text near "Descriere"
+  // - price: first "NNN lei" in the page
+  const title = pick("title", [
+    ["jsonld", ld.title],
+    ["og:title", extractMeta(html, "og:title")],
+    ["title_tag", extractTitleTag(html)],
+    ["discovery", discovered?.title],
+  ]);
+  const desc = extractMeta(html, "description") || "";
+  const bodyText = normalizeText(stripHtml(grabTextChunk(html, ["Descriere", "descriere", "Description"], 4000)));
+  const rawText = pick("rawText", [
+    ["jsonld", ld.description ? normalizeText(ld.description).slice(0, 3500) : null],
+    ["meta_description+body", normalizeText(`${desc} ${bodyText}`.slice(0, 3500))],
+  ]);
+
+  // A non-RON structured price is still "present": don't fall back to the first "lei" on the page.
+  const priceRON = pick("priceRON", [
+    ["jsonld", ld.currency === "RON" || (ld.price != null && !ld.currency) ? ld.price : null],
+    ["lei_heuristic", ld.price == null ? extractPriceRON(html) : null],
+  ]);
+
+  return {
+    title: title ? normalizeText(title) : null,
+    priceRON,
+    price: ld.price ?? null,
+    currency: pick("currency", [["jsonld", ld.currency], ["lei_heuristic", priceRON != null ? "RON" : null]]),
+    inStock: pick("inStock", [["jsonld", ld.inStock]]),
+    condition: pick("condition", [["jsonld", ld.condition]]),
+    brand: pick("brand", [["jsonld", ld.brand]]),
+    gtin: pick("gtin", [["jsonld", ld.gtin]]),
+    image: pick("image", [["jsonld", ld.image], ["og:image", extractMeta(html, "og:image")]]),
+    seller: pick("seller", [["jsonld", ld.seller]]),
+    city: pick("city", [["olx_state", olxLocation?.cityName], ["jsonld", ld.city]]),
+    region: pick("region", [["olx_state", olxLocation?.regionName]]),
+    // OLX delivery off still leaves the seller's own courier offer in the text
+    shipping: pick("shipping", [["olx_delivery", olxDelivery?.rock.active || null], ["text", detectShipping(`${title || ""} ${rawText || ""}`)]]),
+    rawText: rawText || null,
+    fieldSources,
+  };
+}
+
+function listingFactsFromJsonLd(p) {
+  if (!p) return {};
+  const offer = [].concat(p.offers || [])[0] || {};
+  const brand = typeof p.brand === "string" ? p.brand : p.brand?.name;
+  const image = [].concat(p.image || [])[0];
+  const seller = offer.seller || p.seller;
+  const conditionRaw = String(offer.itemCondition || p.itemCondition || "").toLowerCase();
+
+  return {
+    title: p.name ? decodeHtml(p.name) : null,
+    description: p.description ? decodeHtml(stripHtml(p.description)) : null,
+    price: parseRonAmount(offer.price ?? offer.lowPrice ?? offer.priceSpecification?.price ?? null),
+    currency: offer.priceCurrency || offer.priceSpecification?.priceCurrency || null,
+    inStock: availabilityInStock(offer.availability),
+    // "resealed" is the closest bucket we have for refurbished
+    condition: /newcondition/.test(conditionRaw)
+      ? "new"
+      : /refurbished/.test(conditionRaw)
+        ? "resealed"
+        : /usedcondition|damagedcondition/.test(conditionRaw)
+          ? "used"
+          : null,
+    brand: brand ? normalizeText(String(brand)) : null,
+    gtin: p.gtin13 || p.gtin || p.gtin14 || p.gtin12 || p.gtin8 || offer.gtin13 || offer.gtin || null,
+    image: typeof image === "string" ? image : image?.url || image?.contentUrl || null,
+    seller: typeof seller === "string" ? seller : seller?.name || null,
+    city: offer.availableAtOrFrom?.address?.addressLocality || offer.areaServed?.name || (typeof offer.areaServed === "string" ? offer.areaServed : null),
+  };
+}
+
+/* =========================
+   Reviews via Google CSE
+========================= */
+
+async function fetchReviewsForTop(env, ranked, intent, opts = {}) {
+  if (!env.GOOGLE_CSE_API_KEY || !env.GOOGLE_CSE_CX) return { error: "missing_google_cse_env", items: [] };
+
+  const top = (ranked || []).slice(0, 3);
+  const out = [];
+
+  for (const it of top) {
+    const model = normalizeText(it.modelCode || it.productKey || it.canonical || it.title || "").slice(0, 120);
+    if (!model) continue;
+
+    const queries = categoryProfile(intent?.category).reviewQueries(model);
+
+    const sources = [];
+    const seen = new Set();
+
+    for (const q of queries.slice(0, 4)) {
+      const res = await googleCseSearch(env, q, 5, { purpose: "reviews", fresh: opts.fresh });
+      // Reviews are the first thing dropped when the daily budget runs low (or can't be checked); keep what we have so far
+      if (res.error === "cse_quota_exhausted" || res.error === "cse_quota_unavailable") {
+        if (sources.length) out.push({ candidateLink: it.link, model, sources });
+        return { error: res.error, items: out };
+      }
+      for (const s of res.items || []) {
+        if (!s.link || seen.has(s.link)) continue;
+        seen.add(s.link);
+        sources.push(s);
+        if (sources.length >= 12) break;
+      }
+      if (sources.length >= 12) break;
+    }
+
+    out.push({ candidateLink: it.link, model, sources });
+  }
+
+  return { items: out };
+}
+
+// Responses are cached per query; live calls are counted against the daily quota in DB.
+// purpose "reviews" stops CSE_DISCOVERY_RESERVE calls short of the limit so OLX discovery keeps working longer.
+async function googleCseSearch(env, query, num = 6, opts = {}) {
+  num = clamp(num, 1, 10);
+  const cacheKey = `${num}:${query}`;
+  const hit = opts.fresh ? null : await cacheGet(env, "cse", cacheKey).catch(() => null);
+  if (hit) return { items: hit.value, cached: true };
+
+  const reserve = opts.purpose === "reviews" ? cseDiscoveryReserve(env) : 0;
+  // An unreadable counter fails closed: an unmetered call is what the quota exists to prevent
+  const quota = await cseQuotaTake(env, reserve).catch(() => null);
+  if (!quota) return { error: "cse_quota_unavailable", items: [] };
+  if (!quota.ok) return { error: "cse_quota_exhausted", items: [] };
+
+  const api = `https://www.googleapis.com/customsearch/v1?key=${encodeURIComponent(
+    env.GOOGLE_CSE_API_KEY
+  )}&cx=${encodeURIComponent(env.GOOGLE_CSE_CX)}&q=${encodeURIComponent(query)}&num=${num}&gl=ro&hl=ro`;
+
+  const resp = await fetchWithTimeout(api, {}, 25000);
+  if (!resp.ok) return { error: `google_http_${resp.status}`, items: [] };
+
+  const data = await resp.json();
+  const items = (data.items || []).map((it) => ({
+    title: it.title || null,
+    link: it.link || null,
+    snippet: it.snippet || null,
+  }));
+
+  await cachePut(env, "cse", cacheKey, items).catch(() => {});
+  return { items };
+}
+
+function cseDailyLimit(env) {
+  const n = Number(env.CSE_DAILY_LIMIT);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : 100;
+}
+
+function cseDiscoveryReserve(env) {
+  const n = Number(env.CSE_DISCOVERY_RESERVE);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : 20;
+}
+
+// Google resets the CSE quota at midnight Pacific time
+function cseQuotaDay(ts = Date.now()) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: "America/Los_Angeles" }).format(new Date(ts));
+}
+
+/* =========================
+   LLM prompts (intent, facts, scoring, recommendation)
+========================= */
+
+async function geminiIntent(env, input, opts = {}) {
+  const fallback = {
+    category: detectCategory(input.q),
+    budget_lei: input.budget ?? null,
+    size_min: input.sizeMin ?? null,
+    size_max: input.sizeMax ?? null,
+    condition_ok: input.condition === "new" ? ["new"] : input.condition === "used" ? ["used"] : input.condition === "resealed" ? ["resealed"] : ["new", "resealed", "used"],
+    must_have: [],
+    must_exclude: ["nu porneste", "ecran spart", "pentru piese", "defect"],
+    search_query: input.q,
+    expanded_queries: [],
+  };
+
+  if (!hasLlm(env)) return fallback;
+
+  const cacheKey = searchInputKey(input);
+  const hit = opts.fresh ? null : await cacheGet(env, "intent", cacheKey).catch(() => null);
+  if (hit) return hit.value;
+
+  const prompt = `Return ONLY JSON:
+{
+  "category": "tv|laptop|phone|audio|accessory|other",
+  "budget_lei": number|null,
+  "size_min": number|null,
+  "size_max": number|null,
+  "ram_min_gb": number|null,
+  "storage_min_gb": number|null,
+  "battery_health_min": number|null,
+  "condition_ok": ["new","resealed","used"],
+  "must_have": ["..."],
+  "must_exclude": ["..."],
+  "search_query": "string",
+  "expanded_queries": ["...", "...", "..."]
+}
+
+User query: ${input.q}
+Constraints: budget=${input.budget ?? null}, sizeMin=${input.sizeMin ?? null}, sizeMax=${input.sizeMax ?? null}, condition=${input.condition}
+
+Rules:
+- If query implies TV and OLED, set category="tv" and include "oled" in must_have.
+- If user wants 55-65 inch, set size_min/size_max (screen size in inches for TVs, laptops and phones).
+- Laptops: ram_min_gb / storage_min_gb from "16GB RAM", "SSD 512". Phones: storage_min_gb, battery_health_min (percent).
+- Audio: put "anc" / "wireless" in must_have when asked for.
+- must_exclude should include broken/non-working phrases.
+- search_query should be a compact query suitable for Romanian price search.
+`;
+
+  const data = await llmCallValidated(env, prompt, {
+    task: "intent",
+    schema: INTENT_SCHEMA,
+    usage: opts.usage,
+    steps: opts.steps,
+    fresh: opts.fresh,
+  });
+  if (!data) return fallback;
+
+  // Fields the model left out (or that failed validation) keep the deterministic fallback value
+  const intent = { ...fallback };
+  for (const [k, v] of Object.entries(data)) if (v != null && !(Array.isArray(v) && !v.length && fallback[k]?.length)) intent[k] = v;
+
+  await cachePut(env, "intent", cacheKey, intent).catch(() => {});
+  return intent;
+}
+
+async function geminiExtractListingFacts(env, items, intent, opts = {}) {
+  if (!hasLlm(env)) return [];
+
+  const prompt = `Return ONLY JSON:
+{ "items": [ { "link": "...", "condition": "new|used|resealed|unknown", "negotiable": true|false|unknown, "defects": ["..."], "sizeInch": number|null, "notes": "..." } ] }
+
+User intent:
+${JSON.stringify(intent)}
+
+Items:
+${JSON.stringify(
+    (items || []).map((x) => ({
+      title: x.title,
+      link: x.link,
+      priceRON: x.priceRON,
+      snippet: x.snippet,
+      rawText: x.rawText,
+      source: x.source,
+    }))
+  )}
+`;
+  const res = await llmCallValidated(env, prompt, {
+    task: "facts",
+    schema: FACTS_SCHEMA,
+    check: (value, violations) => checkLlmItems(value, items, violations, { checkPrice: false }),
+    usage: opts.usage,
+    steps: opts.steps,
+    fresh: opts.fresh,
+  });
+  return res?.items || [];
+}
+
+// FACTS_SCHEMA fills what the model left out ("unknown", null, []): those say nothing and must not
+// overwrite the condition / negotiable / defects the crawl already found.
+function mergeListingFacts(candidate, facts) {
+  const out = { ...candidate };
+  for (const [k, v] of Object.entries(facts || {})) {
+    if (v == null || v === "unknown" || (Array.isArray(v) && !v.length)) continue;
+    out[k] = v;
+  }
+  return out;
+}
+
+async function geminiScoreCandidates(env, items, intent, opts = {}) {
+  if (!hasLlm(env)) return { items: ruleBasedScoreCandidates(items, intent), scoredBy: "rules" };
+
+  const prompt = `Return ONLY JSON:
+{
+  "items": [
+    {
+      "link": "...",
+      "title": "...",
+      "priceRON": number|null,
+      "overallScore": number,
+      "valueScore": number,
+      "differences": ["..."],
       "pros": ["..."],
       "cons": ["..."],
       "modelCode": "string|null",
@@ -700,100 +3719,794 @@ async function geminiScoreCandidates(env, items, intent) {
       "negotiable": true|false|unknown,
       "defects": ["..."]
     }
-  ]
-}
+  ]
+}
+
+Judge price against the budget using comparePriceRON (effective cost: price + shipping/pickup + risk premium
+for missing warranty, unless the user ranks by sticker price); keep priceRON as the listed price.
+
+User intent:
+${JSON.stringify(intent)}
+
+Candidates:
+${JSON.stringify(items)}
+`;
+  const res = await llmCallValidated(env, prompt, {
+    task: "score",
+    schema: SCORE_SCHEMA,
+    check: (value, violations) => checkLlmItems(value, items, violations, { checkPrice: true }),
+    usage: opts.usage,
+    steps: opts.steps,
+    fresh: opts.fresh,
+  });
+  if (!res?.items?.length && items?.length) return { items: ruleBasedScoreCandidates(items, intent), scoredBy: "rules" };
+  return { ...res, scoredBy: "llm" };
+}
+
+async function geminiFinalRecommendation(env, payload, opts = {}) {
+  if (!hasLlm(env)) return null;
+
+  const prompt = `You are a Romanian "best value for money" assistant.
+From JSON, produce:
+- Best pick under budget
+- Best overall value (may be slightly over budget if justified)
+- Best used/resealed deal (if present)
+For each: rationale, key differences vs request, risks/defects, negotiable yes/no/unknown.
+Then a short buying checklist (questions to ask seller; what photos/tests to request).
+Keep it compact but specific.
+
+JSON:
+${JSON.stringify(payload)}
+`;
+  return await llmCallText(env, prompt, { temperature: 0.2, task: "recommendation", usage: opts.usage, fresh: opts.fresh });
+}
+
+/* =========================
+   LLM output validation + repair
+========================= */
+
+// Schema notation (mirrors the shapes declared in the prompts):
+//   "string" | "number" | "score" (number clamped 0..100) | "tristate" (true|false|"unknown"); "?" suffix = nullable
+//   { enum: [...], default }   lowercase string from the list
+//   [itemSchema]               array (a bare value is wrapped, invalid items dropped)
+//   { props: {...}, required: [...] }
+const CONDITION_ENUM = { enum: ["new", "used", "resealed", "unknown"], default: "unknown" };
+
+const INTENT_SCHEMA = {
+  props: {
+    category: { enum: ["tv", "laptop", "phone", "audio", "accessory", "other"], default: "other" },
+    budget_lei: "number?",
+    size_min: "number?",
+    size_max: "number?",
+    ram_min_gb: "number?",
+    storage_min_gb: "number?",
+    battery_health_min: "number?",
+    condition_ok: [{ enum: ["new", "resealed", "used"], default: null }],
+    must_have: ["string"],
+    must_exclude: ["string"],
+    search_query: "string?",
+    expanded_queries: ["string"],
+  },
+  required: [],
+};
+
+const FACTS_SCHEMA = {
+  props: {
+    items: [
+      {
+        props: {
+          link: "string",
+          condition: CONDITION_ENUM,
+          negotiable: "tristate",
+          defects: ["string"],
+          sizeInch: "number?",
+          notes: "string?",
+        },
+        required: ["link"],
+      },
+    ],
+  },
+  required: ["items"],
+};
+
+const SCORE_SCHEMA = {
+  props: {
+    items: [
+      {
+        props: {
+          link: "string",
+          title: "string?",
+          priceRON: "number?",
+          overallScore: "score",
+          valueScore: "score",
+          differences: ["string"],
+          pros: ["string"],
+          cons: ["string"],
+          modelCode: "string?",
+          productKey: "string?",
+          canonical: "string?",
+          sizeInch: "number?",
+          panelType: { enum: ["oled", "qled", "lcd", "unknown"], default: "unknown" },
+          condition: CONDITION_ENUM,
+          negotiable: "tristate",
+          defects: ["string"],
+        },
+        required: ["link"],
+      },
+    ],
+  },
+  required: ["items"],
+};
+
+// Returns the coerced value, or undefined when it can't be salvaged. Problems go to violations.
+function coerceToSchema(value, schema, path, violations) {
+  if (Array.isArray(schema)) {
+    if (value == null) return [];
+    let arr = value;
+    if (!Array.isArray(arr)) {
+      violations.push(`${path}: expected array`);
+      arr = typeof arr === "string" ? [arr] : [];
+    }
+    return arr.map((x, i) => coerceToSchema(x, schema[0], `${path}[${i}]`, violations)).filter((x) => x !== undefined && x !== null);
+  }
+
+  if (schema?.enum) {
+    if (value == null) return schema.default;
+    const v = String(value).trim().toLowerCase();
+    if (schema.enum.includes(v)) return v;
+    violations.push(`${path}: ${JSON.stringify(value)} not in ${schema.enum.join("|")}`);
+    return schema.default;
+  }
+
+  if (schema?.props) {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      violations.push(`${path}: expected object`);
+      return undefined;
+    }
+    const out = {};
+    for (const [k, sub] of Object.entries(schema.props)) {
+      const v = coerceToSchema(value[k], sub, `${path}.${k}`, violations);
+      if (v !== undefined) out[k] = v;
+    }
+    for (const k of schema.required || []) {
+      if (out[k] == null || out[k] === "") {
+        violations.push(`${path}.${k}: missing`);
+        return undefined;
+      }
+    }
+    return out;
+  }
 
-User intent:
-${JSON.stringify(intent)}
+  const nullable = schema.endsWith("?");
+  const type = schema.replace("?", "");
 
-Candidates:
-${JSON.stringify(items)}
-`;
-  const res = await geminiCallJson(env, prompt, 0);
-  return res || { items: [] };
+  if (type === "tristate") {
+    if (typeof value === "boolean") return value;
+    const v = String(value ?? "").trim().toLowerCase();
+    if (["true", "yes", "da"].includes(v)) return true;
+    if (["false", "no", "nu"].includes(v)) return false;
+    if (v && v !== "unknown") violations.push(`${path}: ${JSON.stringify(value)} is not true|false|unknown`);
+    return "unknown";
+  }
+
+  if (value == null || value === "" || (typeof value === "string" && /^(null|none|n\/a|unknown)$/i.test(value.trim()))) {
+    if (!nullable && value !== undefined) violations.push(`${path}: missing`);
+    return nullable ? null : undefined;
+  }
+
+  if (type === "string") {
+    if (typeof value === "string") return value.trim();
+    if (typeof value === "number" || typeof value === "boolean") return String(value);
+    violations.push(`${path}: expected string`);
+    return nullable ? null : undefined;
+  }
+
+  // number / score
+  let n = typeof value === "number" ? value : null;
+  if (n == null && typeof value === "string") {
+    const m = value.replace(/\s+/g, "").match(/-?\d+(?:[.,]\d+)?/);
+    n = m ? Number(m[0].replace(",", ".")) : null;
+    violations.push(`${path}: coerced ${JSON.stringify(value)} to number`);
+  }
+  if (!Number.isFinite(n)) {
+    violations.push(`${path}: expected number`);
+    return nullable ? null : undefined;
+  }
+  if (type === "score" && (n < 0 || n > 100)) {
+    violations.push(`${path}: ${n} outside 0..100`);
+    n = clamp(n, 0, 100);
+  }
+  return n;
 }
 
-async function geminiFinalRecommendation(env, payload) {
-  if (!env.GEMINI_API_KEY) return null;
+// Drop items whose link wasn't in the prompt; restore crawled prices the model rewrote.
+// Returns null (fatal) if every item had to be dropped.
+function checkLlmItems(value, candidates, violations, { checkPrice }) {
+  const byLink = new Map((candidates || []).map((c) => [c.link, c]));
+  const items = [];
+  for (const it of value.items || []) {
+    const c = byLink.get(it.link);
+    if (!c) {
+      violations.push(`items: unknown link ${String(it.link).slice(0, 200)}`);
+      continue;
+    }
+    if (checkPrice && it.priceRON !== (c.priceRON ?? null)) {
+      violations.push(`items: priceRON for ${it.link} changed ${c.priceRON ?? null} -> ${it.priceRON}`);
+      it.priceRON = c.priceRON ?? null;
+    }
+    items.push(it);
+  }
+  if (!items.length && (value.items?.length || candidates?.length)) return null;
+  return { ...value, items };
+}
 
-  const prompt = `You are a Romanian "best value for money" assistant.
-From JSON, produce:
-- Best pick under budget
-- Best overall value (may be slightly over budget if justified)
-- Best used/resealed deal (if present)
-For each: rationale, key differences vs request, risks/defects, negotiable yes/no/unknown.
-Then a short buying checklist (questions to ask seller; what photos/tests to request).
-Keep it compact but specific.
+// JSON-mode llmCall + schema coercion + optional semantic check, with one repair re-prompt when an answer arrived
+// but failed validation. No answer at all (provider down, quota used up) is not repaired: the caller falls back.
+async function llmCallValidated(env, prompt, opts = {}) {
+  const { task, schema, check, usage, steps, fresh } = opts;
+  const validate = (text, violations) => {
+    if (text == null) {
+      violations.push("response: none");
+      return null;
+    }
+    const data = parseLlmJson(text);
+    if (data == null) {
+      violations.push("response: not valid JSON");
+      return null;
+    }
+    const value = coerceToSchema(data, schema, "$", violations);
+    if (value === undefined) return null;
+    return check ? check(value, violations) : value;
+  };
 
-JSON:
-${JSON.stringify(payload)}
+  let violations = [];
+  const first = await llmCall(env, prompt, { temperature: 0, task, usage, fresh, json: true });
+  let value = validate(first, violations);
+  let repaired = false;
+
+  if (value == null && first != null) {
+    const firstViolations = violations;
+    const repairPrompt = `${prompt}
+Your previous answer was rejected:
+${firstViolations.slice(0, 15).map((v) => `- ${v}`).join("\n")}
+Return ONLY JSON with exactly the shape above. Use only links from the input and keep priceRON as given.
 `;
-  return await geminiCallText(env, prompt, 0.2);
+    violations = [];
+    // The cached first answer is what failed: always ask again
+    value = validate(await llmCall(env, repairPrompt, { temperature: 0, task, usage, fresh: true, json: true }), violations);
+    violations = [...firstViolations.map((v) => `first attempt: ${v}`), ...violations];
+    repaired = value != null;
+  }
+
+  steps?.push({
+    name: `llm_validate_${task}`,
+    ok: value != null,
+    count: violations.length,
+    repaired,
+    violations: violations.slice(0, 30),
+    error: value != null ? null : first == null ? "no_llm_output" : "invalid_llm_output",
+  });
+
+  return value;
 }
 
-async function geminiCallJson(env, prompt, temperature = 0) {
-  const endpoint = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent";
-  const body = { contents: [{ parts: [{ text: prompt }] }], generationConfig: { temperature, responseMimeType: "application/json" } };
+/* =========================
+   LLM providers
+========================= */
 
-  const resp = await fetchWithTimeout(
-    endpoint,
-    {
-      method: "POST",
-      headers: { "content-type": "application/json", "x-goog-api-key": env.GEMINI_API_KEY },
-      body: JSON.stringify(body),
+// A provider: { defaultModel, configured(env), call(env, { prompt, model, temperature, json, timeoutMs }) }
+// call() resolves to { ok, status, text, usage: { inputTokens, outputTokens } } and may throw on network errors.
+const LLM_PROVIDERS = {
+  gemini: {
+    defaultModel: "gemini-2.5-flash",
+    configured: (env) => Boolean(env.GEMINI_API_KEY),
+    async call(env, { prompt, model, temperature, json, timeoutMs }) {
+      const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent`;
+      const generationConfig = json ? { temperature, responseMimeType: "application/json" } : { temperature };
+      const body = { contents: [{ parts: [{ text: prompt }] }], generationConfig };
+
+      const resp = await fetchWithTimeout(
+        endpoint,
+        {
+          method: "POST",
+          headers: { "content-type": "application/json", "x-goog-api-key": env.GEMINI_API_KEY },
+          body: JSON.stringify(body),
+        },
+        timeoutMs
+      );
+      if (!resp.ok) return { ok: false, status: resp.status, text: null, usage: null };
+
+      const data = await resp.json().catch(() => null);
+      return {
+        ok: true,
+        status: resp.status,
+        text: data?.candidates?.[0]?.content?.parts?.map((p) => p.text).join("") ?? null,
+        usage: {
+          inputTokens: data?.usageMetadata?.promptTokenCount || 0,
+          outputTokens: data?.usageMetadata?.candidatesTokenCount || 0,
+        },
+      };
     },
-    12000
-  );
+  },
+
+  // Any OpenAI-compatible server: OpenAI itself, llama.cpp server, Ollama, vLLM, LM Studio...
+  openai: {
+    defaultModel: "gpt-4o-mini",
+    configured: (env) => Boolean(env.OPENAI_BASE_URL || env.OPENAI_API_KEY),
+    async call(env, { prompt, model, temperature, json, timeoutMs }) {
+      const base = String(env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+      const body = { model, temperature, messages: [{ role: "user", content: prompt }] };
+      if (json) body.response_format = { type: "json_object" };
+
+      const headers = { "content-type": "application/json" };
+      if (env.OPENAI_API_KEY) headers.authorization = `Bearer ${env.OPENAI_API_KEY}`;
+
+      const resp = await fetchWithTimeout(`${base}/chat/completions`, { method: "POST", headers, body: JSON.stringify(body) }, timeoutMs);
+      if (!resp.ok) return { ok: false, status: resp.status, text: null, usage: null };
+
+      const data = await resp.json().catch(() => null);
+      return {
+        ok: true,
+        status: resp.status,
+        text: data?.choices?.[0]?.message?.content ?? null,
+        usage: {
+          inputTokens: data?.usage?.prompt_tokens || 0,
+          outputTokens: data?.usage?.completion_tokens || 0,
+        },
+      };
+    },
+  },
+
+  // Scripted responses for offline runs: LLM_MOCK_RESPONSES = {"intent": {...}, "score": [{...}, {...}], "*": null}
+  // Arrays are consumed in order (last one repeats); objects are returned as JSON text.
+  mock: {
+    defaultModel: "mock",
+    configured: (env) => env.LLM_MOCK_RESPONSES != null,
+    async call(env, { prompt, task }) {
+      const script = typeof env.LLM_MOCK_RESPONSES === "string" ? JSON.parse(env.LLM_MOCK_RESPONSES) : env.LLM_MOCK_RESPONSES;
+      const key = task in script ? task : "*";
+      let entry = script[key];
+      if (Array.isArray(entry)) {
+        const i = llmMockCursor.get(key) || 0;
+        llmMockCursor.set(key, i + 1);
+        entry = entry[Math.min(i, entry.length - 1)];
+      }
+      if (entry == null) return { ok: false, status: 503, text: null, usage: null };
+
+      const text = typeof entry === "string" ? entry : JSON.stringify(entry);
+      return { ok: true, status: 200, text, usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) } };
+    },
+  },
+};
+
+const llmMockCursor = new Map();
+
+function llmProviderName(env) {
+  if (env.LLM_PROVIDER) return String(env.LLM_PROVIDER).toLowerCase();
+  if (!env.GEMINI_API_KEY && env.OPENAI_BASE_URL) return "openai";
+  return "gemini";
+}
 
-  if (!resp.ok) return null;
+function hasLlm(env) {
+  const provider = LLM_PROVIDERS[llmProviderName(env)];
+  return Boolean(provider?.configured(env));
+}
+
+function newLlmUsage(env) {
+  return { provider: llmProviderName(env), calls: 0, failures: 0, retries: 0, inputTokens: 0, outputTokens: 0, byTask: {}, limit: null };
+}
+
+// Returns the raw completion text, or null once retries are exhausted.
+async function llmCall(env, prompt, opts = {}) {
+  const name = llmProviderName(env);
+  const provider = LLM_PROVIDERS[name];
+  if (!provider?.configured(env)) return null;
+
+  const task = opts.task || "default";
+  const model = opts.model || env[`LLM_MODEL_${task.toUpperCase()}`] || env.LLM_MODEL || provider.defaultModel;
+  const retries = clamp(Number(env.LLM_RETRIES ?? 1) || 0, 0, 3);
+  const timeoutMs = Number(env.LLM_TIMEOUT_MS) || 12000;
+  const usage = opts.usage;
+  const temperature = opts.temperature ?? 0;
+  const json = Boolean(opts.json);
+
+  // Scripted mock answers are never cached (tests rely on their order)
+  const cacheKey = name === "mock" ? null : stableKeyFromObj({ name, model, temperature, json, len: prompt.length, prompt });
+  const hit = cacheKey && !opts.fresh ? await cacheGet(env, "llm", cacheKey).catch(() => null) : null;
+  if (hit) {
+    if (usage) {
+      const t = (usage.byTask[task] ||= { model, calls: 0, inputTokens: 0, outputTokens: 0 });
+      t.cacheHits = (t.cacheHits || 0) + 1;
+    }
+    return hit.value;
+  }
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    // Per-key daily LLM quota: behave like a failed call so every prompt falls back to its rules
+    if (usage?.limit != null && usage.calls >= usage.limit) {
+      usage.quotaExhausted = true;
+      return null;
+    }
+    if (attempt > 0) {
+      if (usage) usage.retries++;
+      await sleep(500 * 2 ** (attempt - 1));
+    }
+
+    let res;
+    try {
+      res = await provider.call(env, { prompt, model, task, temperature, json, timeoutMs });
+    } catch {
+      res = { ok: false, status: 0, text: null, usage: null };
+    }
+
+    if (usage) {
+      usage.calls++;
+      const t = (usage.byTask[task] ||= { model, calls: 0, inputTokens: 0, outputTokens: 0 });
+      t.calls++;
+      t.inputTokens += res.usage?.inputTokens || 0;
+      t.outputTokens += res.usage?.outputTokens || 0;
+      usage.inputTokens += res.usage?.inputTokens || 0;
+      usage.outputTokens += res.usage?.outputTokens || 0;
+      if (!res.ok) usage.failures++;
+    }
+
+    if (res.ok) {
+      if (cacheKey && res.text) await cachePut(env, "llm", cacheKey, res.text).catch(() => {});
+      return res.text;
+    }
+    // Client errors other than rate limiting won't get better on retry
+    if (res.status >= 400 && res.status < 500 && res.status !== 429) return null;
+  }
+
+  return null;
+}
 
-  const data = await resp.json().catch(() => null);
-  const text = data?.candidates?.[0]?.content?.parts?.map((p) => p.text).join("") ?? "";
+function parseLlmJson(text) {
   try {
-    return JSON.parse(text);
+    // local models sometimes wrap JSON in markdown fences
+    return JSON.parse(text.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ""));
   } catch {
     return null;
   }
 }
 
-async function geminiCallText(env, prompt, temperature = 0.2) {
-  const endpoint = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent";
-  const body = { contents: [{ parts: [{ text: prompt }] }], generationConfig: { temperature } };
+async function llmCallText(env, prompt, opts = {}) {
+  return llmCall(env, prompt, { temperature: 0.2, ...opts, json: false });
+}
 
-  const resp = await fetchWithTimeout(
-    endpoint,
-    {
-      method: "POST",
-      headers: { "content-type": "application/json", "x-goog-api-key": env.GEMINI_API_KEY },
-      body: JSON.stringify(body),
-    },
-    12000
-  );
+/* =========================
+   Durable Object cache (DB)
+========================= */
+
+// Per-namespace TTLs; expired rows are evicted by the DB alarm.
+const CACHE_TTL_MS = {
+  intent: 6 * 60 * 60 * 1000,
+  result: 20 * 60 * 1000,
+  source: 30 * 60 * 1000,
+  details: 6 * 60 * 60 * 1000,
+  llm: 6 * 60 * 60 * 1000,
+  robots: 24 * 60 * 60 * 1000,
+  cse: 12 * 60 * 60 * 1000,
+};
+
+// Returns { ts, value } for a live entry, else null.
+async function cacheGet(env, ns, key) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub
+    .fetch("https://do.local/cache-get?ns=" + encodeURIComponent(ns) + "&k=" + encodeURIComponent(key))
+    .then((r) => r.json());
+}
+
+async function cachePut(env, ns, key, value, ttlMs = CACHE_TTL_MS[ns]) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/cache-put", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ ns, key, value, ttlMs }),
+  });
+}
+
+async function cacheDelete(env, ns, key) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/cache-delete", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ ns, key }),
+  });
+  const data = await r.json();
+  return data?.deleted || 0;
+}
+
+async function savedSearchesList(env) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/searches-list").then((r) => r.json());
+}
+
+async function savedSearchPut(env, search) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/searches-put", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ search }),
+  });
+}
+
+async function savedSearchDelete(env, searchId) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/searches-delete?id=" + encodeURIComponent(searchId), { method: "POST" });
+  return r.ok;
+}
+
+async function savedSearchRecordRun(env, searchId, run) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/searches-record", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ id: searchId, run }),
+  });
+}
+
+async function watchlistsList(env) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/watchlists-list").then((r) => r.json());
+}
+
+async function watchlistGet(env, watchlistId) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/watchlists-get?id=" + encodeURIComponent(watchlistId)).then((r) => r.json());
+}
+
+async function watchlistPut(env, watchlist) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/watchlists-put", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ watchlist }),
+  });
+}
+
+async function watchlistDelete(env, watchlistId) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/watchlists-delete?id=" + encodeURIComponent(watchlistId), { method: "POST" });
+  return r.ok;
+}
+
+// -> events (new, relisted, price_changed, removed, sold, reactivated)
+async function listingsObserve(env, rows) {
+  if (!rows?.length) return [];
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/listings-observe", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ ts: Date.now(), rows }),
+  });
+  if (!r.ok) throw new Error(`listings_observe_http_${r.status}`);
+  return r.json();
+}
+
+async function listingGet(env, link) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/listings-get?link=" + encodeURIComponent(link)).then((r) => r.json());
+}
+
+async function listingsList(env, status, limit) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const qs = new URLSearchParams({ limit: String(limit) });
+  if (status) qs.set("status", status);
+  return stub.fetch("https://do.local/listings-list?" + qs).then((r) => r.json());
+}
+
+async function listingsDue(env, checkedBefore, limit) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch(`https://do.local/listings-due?before=${checkedBefore}&limit=${limit}`).then((r) => r.json());
+}
+
+async function historyAppend(env, items) {
+  const rows = (items || []).map((x) => ({ link: x.link, source: x.source || null, title: x.title || null, priceRON: x.priceRON }));
+  if (!rows.length) return;
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/history-add", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ ts: Date.now(), rows }),
+  });
+  if (!r.ok) throw new Error(`history_add_http_${r.status}`);
+}
+
+async function sourceHealthRecord(env, crawled) {
+  const rows = (crawled || []).map((c) => ({
+    source: c.name,
+    ok: !c.error,
+    items: c.items.length,
+    priced: c.items.filter((x) => x.priceRON != null).length,
+    titled: c.items.filter((x) => x.title).length,
+    error: c.error || null,
+  }));
+  if (!rows.length) return;
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  await stub.fetch("https://do.local/health-record", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ ts: Date.now(), rows }),
+  });
+}
+
+// { [source]: runs newest first }
+async function sourceHealthGet(env) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/health-get");
+  return r.json();
+}
+
+async function historyGet(env, link) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/history-get?link=" + encodeURIComponent(link)).then((r) => r.json());
+}
+
+async function alertsList(env) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/alerts-list").then((r) => r.json());
+}
+
+async function alertPut(env, alert) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/alerts-put", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ alert }),
+  });
+}
+
+async function alertDelete(env, alertId) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/alerts-delete?id=" + encodeURIComponent(alertId), { method: "POST" });
+  return r.ok;
+}
+
+// Dedup: claims = [{ alertId, link, priceRON, reason }] -> [bool], true only where that (alert, link)
+// was never announced, or is now cheaper than last announced.
+async function alertsClaim(env, claims) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/alerts-claim", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ claims }),
+  });
+  const data = await r.json();
+  return claims.map((_, i) => Boolean(data?.claimed?.[i]));
+}
+
+async function alertRelease(env, alertId, link) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/alerts-release", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ alertId, link }),
+  });
+}
 
-  if (!resp.ok) return null;
+// Counts one CSE call for today unless that would leave fewer than `reserve` calls; returns { ok, used, limit }.
+async function cseQuotaTake(env, reserve = 0) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/cse-take", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ day: cseQuotaDay(), limit: cseDailyLimit(env), reserve }),
+  });
+  return r.json();
+}
+
+async function cseQuotaUsage(env) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/cse-usage?day=" + encodeURIComponent(cseQuotaDay()));
+  const data = await r.json();
+  const limit = cseDailyLimit(env);
+  return {
+    day: data.day,
+    used: data.used,
+    limit,
+    remaining: Math.max(0, limit - data.used),
+    reviewsCutoffAt: Math.max(0, limit - cseDiscoveryReserve(env)),
+  };
+}
+
+// Milliseconds to wait before the request may go out (0 = now). The token is reserved either way.
+async function hostTakeToken(env, host, ratePerSec, burst) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/ratelimit-take", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ host, ratePerSec, burst }),
+  });
+  const data = await r.json();
+  return data?.waitMs || 0;
+}
+
+async function apiKeyLookup(env, hash) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/keys-lookup?hash=" + encodeURIComponent(hash)).then((r) => r.json());
+}
+
+async function apiKeyGet(env, keyId) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/keys-lookup?id=" + encodeURIComponent(keyId)).then((r) => r.json());
+}
+
+async function apiKeyPut(env, key, hash) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/keys-put", {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify({ key, hash }),
+  });
+}
 
-  const data = await resp.json().catch(() => null);
-  return data?.candidates?.[0]?.content?.parts?.map((p) => p.text).join("") ?? null;
+async function apiKeyDelete(env, keyId) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  const r = await stub.fetch("https://do.local/keys-delete?id=" + encodeURIComponent(keyId), { method: "POST" });
+  return (await r.json()).deleted;
 }
 
-/* =========================
-   Durable Object cache (DB)
-========================= */
+async function apiKeysList(env, day) {
+  const id = env.DB.idFromName("main");
+  const stub = env.DB.get(id);
+  return stub.fetch("https://do.local/keys-list?day=" + encodeURIComponent(day)).then((r) => r.json());
+}
 
-async function cacheGet(env, key) {
+// owner.kind: "search" (default; input = search input) | "watchlist_refresh" (input = { watchlistId })
+async function jobCreate(env, input, owner = {}) {
   const id = env.DB.idFromName("main");
   const stub = env.DB.get(id);
-  return stub.fetch("https://do.local/cache-get?k=" + encodeURIComponent(key)).then((r) => r.json());
+  return stub
+    .fetch("https://do.local/jobs-create", {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({
+        kind: owner.kind || "search",
+        input,
+        keyId: owner.keyId ?? null,
+        llmCallLimit: owner.llmCallLimit ?? null,
+        quotaDay: owner.quotaDay ?? null,
+      }),
+    })
+    .then((r) => r.json());
 }
 
-async function cachePut(env, key, value) {
+async function jobGet(env, jobId) {
   const id = env.DB.idFromName("main");
   const stub = env.DB.get(id);
-  return stub.fetch("https://do.local/cache-put", {
-    method: "POST",
-    headers: { "content-type": "application/json" },
-    body: JSON.stringify({ key, value }),
-  });
+  return stub.fetch("https://do.local/jobs-get?id=" + encodeURIComponent(jobId)).then((r) => r.json());
 }
 
 /* =========================
@@ -819,6 +4532,134 @@ function extractPriceRON(html) {
   return Number.isFinite(n) ? n : null;
 }
 
+// Romanian price text -> number: "3.499,99 lei", "3 499 lei", "3.499<sup>99</sup>", 3499.99
+function parseRonAmount(v) {
+  if (v == null) return null;
+  if (typeof v === "number") return Number.isFinite(v) && v > 0 ? Math.round(v * 100) / 100 : null;
+
+  const s = String(v)
+    .replace(/<sup[^>]*>\s*,?(\d{2})\s*<\/sup>/i, ",$1")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;|\u00a0/g, " ");
+  const m = s.match(/(\d{1,3}(?:[.\s]\d{3})+|\d+)(?:[,.](\d{1,2})(?!\d))?/);
+  if (!m) return null;
+
+  const n = parseInt(m[1].replace(/[.\s]/g, ""), 10) + (m[2] ? parseInt(m[2].padEnd(2, "0"), 10) / 100 : 0);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function stockFromText(text) {
+  const t = normalizeText(stripHtml(text)).toLowerCase();
+  if (!t) return null;
+  if (/stoc epuizat|indisponibil|out of stock|nu mai este disponibil/.test(t)) return false;
+  if (/în stoc|in stoc|stoc limitat|ultimul produs|ultimele/.test(t)) return true;
+  return null;
+}
+
+function splitTiles(html, startRe) {
+  const starts = [...html.matchAll(startRe)].map((m) => m.index);
+  return starts.map((start, i) => html.slice(start, starts[i + 1] ?? start + 6000));
+}
+
+function attrValue(html, attr) {
+  const m = html.match(new RegExp(`\\b${escapeRe(attr)}="([^"]*)"`, "i"));
+  return m ? m[1] : null;
+}
+
+function classInnerHtml(html, cls) {
+  const m = html.match(new RegExp(`<(\\w+)[^>]+class="[^"]*\\b${escapeRe(cls)}\\b[^"]*"[^>]*>([\\s\\S]*?)<\\/\\1>`, "i"));
+  return m ? m[2] : null;
+}
+
+function dedupeByLink(items) {
+  const byLink = new Map();
+  for (const x of items) if (!byLink.has(x.link)) byLink.set(x.link, x);
+  return [...byLink.values()];
+}
+
+/* =========================
+   Structured data (JSON-LD / embedded JSON)
+========================= */
+
+function extractJsonLd(html) {
+  const out = [];
+  const re = /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  let m;
+  while ((m = re.exec(html))) {
+    try {
+      out.push(JSON.parse(m[1].trim()));
+    } catch {}
+  }
+  return out;
+}
+
+// All schema.org Product nodes, including those nested in @graph arrays and ItemList elements.
+function jsonLdProducts(html) {
+  return findObjects(extractJsonLd(html), (o) => [].concat(o["@type"] || []).includes("Product"));
+}
+
+function productFromJsonLd(p, baseUrl) {
+  const offer = [].concat(p.offers || [])[0] || {};
+  const price = offer.price ?? offer.lowPrice ?? offer.priceSpecification?.price ?? null;
+  const link = p.url || offer.url || null;
+  return {
+    title: p.name ? normalizeText(decodeHtml(p.name)) : null,
+    // One malformed url must not throw away every other product on the page
+    link: link ? safeUrl(String(link), baseUrl)?.toString() ?? null : null,
+    priceRON: !offer.priceCurrency || offer.priceCurrency === "RON" ? parseRonAmount(price) : null,
+    oldPriceRON: parseRonAmount(offer.highPrice ?? null),
+    shippingCostRON: jsonLdShippingRON(offer),
+    inStock: availabilityInStock(offer.availability),
+    rawText: null,
+    extractedBy: "jsonld",
+  };
+}
+
+// schema.org OfferShippingDetails.shippingRate, RON only
+function jsonLdShippingRON(offer) {
+  const rate = [].concat(offer.shippingDetails || [])[0]?.shippingRate;
+  if (rate?.value == null || rate.value === "" || (rate.currency && rate.currency !== "RON")) return null;
+  return Number(rate.value) === 0 ? 0 : parseRonAmount(rate.value);
+}
+
+function availabilityInStock(availability) {
+  const a = String(availability || "").toLowerCase();
+  if (!a) return null;
+  if (/outofstock|soldout|discontinued/.test(a)) return false;
+  if (/instock|limitedavailability|onlineonly|instoreonly|preorder/.test(a)) return true;
+  return null;
+}
+
+function extractNextData(html) {
+  const m = html.match(/<script[^>]+id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/i);
+  if (!m) return null;
+  try {
+    return JSON.parse(m[1]);
+  } catch {
+    return null;
+  }
+}
+
+// Depth-first walk collecting objects matching pred (does not descend into matches).
+function findObjects(root, pred, limit = 200) {
+  const out = [];
+  const stack = [root];
+  while (stack.length && out.length < limit) {
+    const x = stack.pop();
+    if (!x || typeof x !== "object") continue;
+    if (Array.isArray(x)) {
+      for (let i = x.length - 1; i >= 0; i--) stack.push(x[i]);
+      continue;
+    }
+    if (pred(x)) {
+      out.push(x);
+      continue;
+    }
+    for (const v of Object.values(x).reverse()) stack.push(v);
+  }
+  return out;
+}
+
 function grabTextChunk(html, needles, maxLen) {
   const lower = html.toLowerCase();
   let idx = -1;
@@ -871,25 +4712,33 @@ function looksBadCondition(text) {
   return bad.some((k) => t.includes(k));
 }
 
-function looksLikeAccessory(title) {
+const ACCESSORY_WORDS = [
+  "husa",
+  "husă",
+  "case",
+  "cover",
+  "folie",
+  "screen protector",
+  "stand",
+  "suport",
+  "curea",
+  "charger",
+  "incarcator",
+  "încărcător",
+  "cablu",
+  "remote",
+  "telecomanda",
+  "telecomandă",
+];
+// "Mouse Logitech ...", "Set tastatura si mouse ...": how far into the title an accessoryLeads word counts
+const ACCESSORY_LEAD_WORDS = 2;
+
+function looksLikeAccessory(title, category) {
   const t = (title || "").toLowerCase();
-  return [
-    "husa",
-    "husă",
-    "case",
-    "cover",
-    "folie",
-    "screen protector",
-    "stand",
-    "suport",
-    "curea",
-    "charger",
-    "incarcator",
-    "încărcător",
-    "cablu",
-    "remote",
-    "telecomanda",
-  ].some((k) => t.includes(k));
+  const profile = categoryProfile(category);
+  if ([...ACCESSORY_WORDS, ...profile.accessories].some((k) => t.includes(k))) return true;
+  const lead = t.split(/[^\p{L}\p{N}]+/u).filter(Boolean).slice(0, ACCESSORY_LEAD_WORDS);
+  return profile.accessoryLeads.some((k) => lead.includes(k));
 }
 
 function guessPanelType(title) {
@@ -910,6 +4759,10 @@ function numOrNull(v) {
   return Number.isFinite(n) ? n : null;
 }
 
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
 async function fetchWithTimeout(url, opts = {}, ms = 9000) {
   const ac = new AbortController();
   const t = setTimeout(() => ac.abort(), ms);
@@ -920,9 +4773,37 @@ async function fetchWithTimeout(url, opts = {}, ms = 9000) {
   }
 }
 
-function safeUrl(s) {
+// Alert webhooks are user-supplied URLs the Worker POSTs to: https only, and never to loopback,
+// private, link-local or otherwise internal addresses (names are not resolved; literal IPs are checked).
+function isPublicWebhookUrl(s) {
+  const u = safeUrl(s);
+  if (!u || u.protocol !== "https:" || u.username || u.password) return false;
+  const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+  if (!host.includes(".") && !host.includes(":")) return false;
+  if (host === "localhost" || /\.(?:localhost|local|internal|lan|home\.arpa)$/.test(host)) return false;
+
+  const v4 = host.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/) || host.match(/^::ffff:(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (v4) {
+    const [a, b] = [Number(v4[1]), Number(v4[2])];
+    return !(
+      a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 198 && (b === 18 || b === 19))
+    );
+  }
+  if (host.includes(":")) {
+    // IPv6: loopback, unspecified, IPv4-mapped (hex form), unique-local fc00::/7, link-local fe80::/10
+    return !(host === "::1" || host === "::" || host.startsWith("::ffff:") || /^f[cd]/.test(host) || /^fe[89ab]/.test(host));
+  }
+  return true;
+}
+
+function safeUrl(s, base) {
   try {
-    return new URL(s);
+    return new URL(s, base);
   } catch {
     return null;
   }
@@ -931,8 +4812,8 @@ function safeUrl(s) {
 function corsHeaders() {
   return {
     "access-control-allow-origin": "*",
-    "access-control-allow-methods": "GET,POST,OPTIONS",
-    "access-control-allow-headers": "content-type",
+    "access-control-allow-methods": "GET,POST,PUT,DELETE,OPTIONS",
+    "access-control-allow-headers": "content-type,authorization",
     "access-control-max-age": "86400",
   };
 }
@@ -987,25 +4868,811 @@ function escapeRe(s) {
 export class DB {
   constructor(state, env) {
     this.state = state;
+    this.env = env;
+    this.sql = state.storage.sql;
+
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS price_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        link TEXT NOT NULL,
+        source TEXT,
+        title TEXT,
+        price_ron REAL NOT NULL,
+        ts INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS price_history_link_ts ON price_history (link, ts);
+      CREATE INDEX IF NOT EXISTS price_history_ts ON price_history (ts);
+      CREATE TABLE IF NOT EXISTS alerts (
+        id TEXT PRIMARY KEY,
+        link TEXT,
+        query TEXT,
+        max_price_ron REAL,
+        webhook_url TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS alert_notifications (
+        alert_id TEXT NOT NULL,
+        link TEXT NOT NULL,
+        price_ron REAL,
+        reason TEXT,
+        ts INTEGER NOT NULL,
+        PRIMARY KEY (alert_id, link)
+      );
+      CREATE TABLE IF NOT EXISTS cache_entries (
+        ns TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        ts INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL,
+        PRIMARY KEY (ns, key)
+      );
+      CREATE INDEX IF NOT EXISTS cache_entries_expires ON cache_entries (expires_at);
+      CREATE TABLE IF NOT EXISTS listings (
+        link TEXT PRIMARY KEY,
+        source TEXT,
+        title TEXT,
+        title_key TEXT,
+        title_fp TEXT,
+        desc_fp TEXT,
+        image_fp TEXT,
+        seller TEXT,
+        status TEXT NOT NULL,
+        status_at INTEGER NOT NULL,
+        first_seen INTEGER NOT NULL,
+        last_seen INTEGER NOT NULL,
+        last_checked INTEGER,
+        price_ron REAL,
+        relist_of TEXT
+      );
+      CREATE INDEX IF NOT EXISTS listings_status_checked ON listings (status, last_checked);
+      CREATE INDEX IF NOT EXISTS listings_title_fp ON listings (title_fp);
+      CREATE INDEX IF NOT EXISTS listings_desc_fp ON listings (desc_fp);
+      CREATE INDEX IF NOT EXISTS listings_image_fp ON listings (image_fp);
+      CREATE INDEX IF NOT EXISTS listings_last_seen ON listings (last_seen);
+      CREATE TABLE IF NOT EXISTS listing_prices (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        link TEXT NOT NULL,
+        ts INTEGER NOT NULL,
+        price_ron REAL NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS listing_prices_link_ts ON listing_prices (link, ts);
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        key_hash TEXT NOT NULL UNIQUE,
+        name TEXT,
+        role TEXT NOT NULL,
+        daily_searches INTEGER NOT NULL,
+        daily_llm_calls INTEGER NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS api_key_usage (
+        key_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        searches INTEGER NOT NULL DEFAULT 0,
+        llm_calls INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (key_id, day)
+      );
+      CREATE TABLE IF NOT EXISTS source_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        source TEXT NOT NULL,
+        ts INTEGER NOT NULL,
+        ok INTEGER NOT NULL,
+        items INTEGER NOT NULL,
+        priced INTEGER NOT NULL,
+        titled INTEGER NOT NULL,
+        error TEXT
+      );
+      CREATE INDEX IF NOT EXISTS source_runs_source_ts ON source_runs (source, ts);
+      CREATE TABLE IF NOT EXISTS cse_usage (
+        day TEXT PRIMARY KEY,
+        calls INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS host_buckets (
+        host TEXT PRIMARY KEY,
+        tokens REAL NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+    `);
   }
 
   async fetch(request) {
     const url = new URL(request.url);
 
     if (url.pathname === "/cache-get") {
-      const key = url.searchParams.get("k");
-      const v = key ? await this.state.storage.get("cache:" + key) : null;
-      return new Response(JSON.stringify(v || null), {
+      const row = this.sql
+        .exec(
+          "SELECT value, ts FROM cache_entries WHERE ns = ? AND key = ? AND expires_at > ?",
+          url.searchParams.get("ns") || "",
+          url.searchParams.get("k") || "",
+          Date.now()
+        )
+        .toArray()[0];
+      return new Response(row ? `{"ts":${row.ts},"value":${row.value}}` : "null", {
         headers: { "content-type": "application/json; charset=utf-8" },
       });
     }
 
     if (url.pathname === "/cache-put") {
-      const { key, value } = await request.json();
-      if (key) await this.state.storage.put("cache:" + key, value);
+      const { ns, key, value, ttlMs } = await request.json();
+      if (ns && key && value !== undefined && ttlMs > 0) {
+        const now = Date.now();
+        this.sql.exec(
+          "INSERT OR REPLACE INTO cache_entries (ns, key, value, ts, expires_at) VALUES (?, ?, ?, ?, ?)",
+          ns,
+          key,
+          JSON.stringify(value),
+          now,
+          now + ttlMs
+        );
+        await this.scheduleAlarm(now + ttlMs);
+      }
+      return new Response("ok");
+    }
+
+    if (url.pathname === "/cache-delete") {
+      const { ns, key } = await request.json();
+      let deleted;
+      if (ns && key) deleted = this.sql.exec("DELETE FROM cache_entries WHERE ns = ? AND key = ?", ns, key).rowsWritten;
+      else if (ns) deleted = this.sql.exec("DELETE FROM cache_entries WHERE ns = ?", ns).rowsWritten;
+      else deleted = this.sql.exec("DELETE FROM cache_entries").rowsWritten;
+      return new Response(JSON.stringify({ deleted }), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/cse-take") {
+      const { day, limit, reserve } = await request.json();
+      const used = this.sql.exec("SELECT calls FROM cse_usage WHERE day = ?", day).toArray()[0]?.calls || 0;
+      const ok = used < limit - (reserve || 0);
+      if (ok) {
+        this.sql.exec("INSERT INTO cse_usage (day, calls) VALUES (?, 1) ON CONFLICT(day) DO UPDATE SET calls = calls + 1", day);
+        // Only the current day is ever read
+        this.sql.exec("DELETE FROM cse_usage WHERE day < ?", day);
+      }
+
+      return new Response(JSON.stringify({ ok, used: ok ? used + 1 : used, limit }), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/cse-usage") {
+      const day = url.searchParams.get("day");
+      const used = this.sql.exec("SELECT calls FROM cse_usage WHERE day = ?", day).toArray()[0]?.calls || 0;
+      return new Response(JSON.stringify({ day, used }), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/ratelimit-take") {
+      const { host, ratePerSec, burst } = await request.json();
+      const now = Date.now();
+      const row = this.sql.exec("SELECT tokens, updated_at FROM host_buckets WHERE host = ?", host).toArray()[0];
+
+      // Refill since last take, then reserve one token; a negative balance is a queue of reserved slots
+      const tokens = Math.min(burst, (row ? row.tokens : burst) + ((now - (row?.updated_at ?? now)) / 1000) * ratePerSec);
+      const waitMs = tokens >= 1 ? 0 : Math.ceil(((1 - tokens) / ratePerSec) * 1000);
+      if (waitMs <= POLITE_MAX_WAIT_MS) {
+        this.sql.exec("INSERT OR REPLACE INTO host_buckets (host, tokens, updated_at) VALUES (?, ?, ?)", host, tokens - 1, now);
+      }
+
+      return new Response(JSON.stringify({ waitMs }), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/keys-lookup") {
+      const row = url.searchParams.has("id")
+        ? this.sql.exec("SELECT * FROM api_keys WHERE id = ?", url.searchParams.get("id")).toArray()[0]
+        : this.sql.exec("SELECT * FROM api_keys WHERE key_hash = ?", url.searchParams.get("hash") || "").toArray()[0];
+      return new Response(JSON.stringify(row ? publicApiKeyRow(row) : null), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/keys-put") {
+      const { key, hash } = await request.json();
+      this.sql.exec(
+        "INSERT INTO api_keys (id, key_hash, name, role, daily_searches, daily_llm_calls, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)",
+        key.id,
+        hash,
+        key.name,
+        key.role,
+        key.dailySearches,
+        key.dailyLlmCalls,
+        key.createdAt
+      );
+      return new Response("ok");
+    }
+
+    if (url.pathname === "/keys-delete") {
+      const keyId = url.searchParams.get("id") || "";
+      const deleted = this.sql.exec("DELETE FROM api_keys WHERE id = ?", keyId).rowsWritten > 0;
+      this.sql.exec("DELETE FROM api_key_usage WHERE key_id = ?", keyId);
+      return new Response(JSON.stringify({ deleted }), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/keys-list") {
+      const day = url.searchParams.get("day") || "";
+      const items = this.sql
+        .exec(
+          `SELECT k.*, COALESCE(u.searches, 0) AS searches_today, COALESCE(u.llm_calls, 0) AS llm_calls_today
+           FROM api_keys k LEFT JOIN api_key_usage u ON u.key_id = k.id AND u.day = ? ORDER BY k.created_at`,
+          day
+        )
+        .toArray()
+        .map((r) => ({ ...publicApiKeyRow(r), today: { searches: r.searches_today, llmCalls: r.llm_calls_today } }));
+      return new Response(JSON.stringify(items), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/keys-take") {
+      const { keyId, day, searchLimit, llmLimit, llmReserve } = await request.json();
+      const row = this.sql.exec("SELECT searches, llm_calls FROM api_key_usage WHERE key_id = ? AND day = ?", keyId, day).toArray()[0];
+      const searches = row?.searches || 0;
+      const ok = searches < searchLimit;
+      // Reserved calls count as used until the search settles (keys-usage-add with the difference)
+      const llmReserved = ok ? clamp(llmLimit - (row?.llm_calls || 0), 0, llmReserve || 0) : 0;
+      if (ok) this.addKeyUsage(keyId, day, 1, llmReserved);
+      return new Response(JSON.stringify({ ok, searches: ok ? searches + 1 : searches, llmCalls: (row?.llm_calls || 0) + llmReserved, llmReserved }), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/keys-usage-add") {
+      const { keyId, day, llmCalls } = await request.json();
+      this.addKeyUsage(keyId, day, 0, llmCalls || 0);
       return new Response("ok");
     }
 
+    if (url.pathname === "/listings-observe") {
+      const { ts, rows } = await request.json();
+      const events = (rows || []).map((r) => this.observeListing(r, ts)).filter(Boolean);
+      return new Response(JSON.stringify(events), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/listings-get") {
+      const link = url.searchParams.get("link") || "";
+      const row = this.sql.exec("SELECT * FROM listings WHERE link = ?", link).toArray()[0];
+      if (!row) return new Response("null", { headers: { "content-type": "application/json; charset=utf-8" } });
+
+      // Earlier incarnations of a relisted item, oldest first
+      const chain = [];
+      for (let prev = row.relist_of; prev && chain.length < 10 && !chain.some((c) => c.link === prev); ) {
+        const r = this.sql.exec("SELECT * FROM listings WHERE link = ?", prev).toArray()[0];
+        if (!r) break;
+        chain.unshift(publicListingRow(r));
+        prev = r.relist_of;
+      }
+      const relistedAs = this.sql.exec("SELECT link FROM listings WHERE relist_of = ?", link).toArray().map((r) => r.link);
+      const prices = this.sql
+        .exec("SELECT ts, price_ron FROM listing_prices WHERE link = ? ORDER BY ts ASC, id ASC LIMIT 500", link)
+        .toArray()
+        .map((r) => ({ ts: new Date(r.ts).toISOString(), priceRON: r.price_ron }));
+      const cuts = prices.filter((p, i) => i > 0 && p.priceRON < prices[i - 1].priceRON);
+
+      const out = {
+        ...publicListingRow(row),
+        prices,
+        priceCuts: cuts.length,
+        firstPriceRON: prices[0]?.priceRON ?? null,
+        relistedAs,
+        chain,
+      };
+      return new Response(JSON.stringify(out), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/listings-list") {
+      const status = url.searchParams.get("status");
+      const limit = Number(url.searchParams.get("limit")) || 50;
+      const rows = status
+        ? this.sql.exec("SELECT * FROM listings WHERE status = ? ORDER BY status_at DESC LIMIT ?", status, limit).toArray()
+        : this.sql.exec("SELECT * FROM listings ORDER BY status_at DESC LIMIT ?", limit).toArray();
+      return new Response(JSON.stringify(rows.map(publicListingRow)), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/listings-due") {
+      const before = Number(url.searchParams.get("before")) || 0;
+      const limit = Number(url.searchParams.get("limit")) || LIFECYCLE_RECHECK_PER_TICK;
+      const rows = this.sql
+        .exec(
+          `SELECT link, source, title FROM listings WHERE status = 'active' AND COALESCE(last_checked, first_seen) <= ?
+           ORDER BY COALESCE(last_checked, first_seen) ASC LIMIT ?`,
+          before,
+          limit
+        )
+        .toArray();
+      return new Response(JSON.stringify(rows), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/health-record") {
+      const { ts, rows } = await request.json();
+      for (const r of rows || []) {
+        this.sql.exec(
+          "INSERT INTO source_runs (source, ts, ok, items, priced, titled, error) VALUES (?, ?, ?, ?, ?, ?, ?)",
+          r.source,
+          ts,
+          r.ok ? 1 : 0,
+          r.items,
+          r.priced,
+          r.titled,
+          r.error
+        );
+        this.sql.exec(
+          "DELETE FROM source_runs WHERE source = ? AND id NOT IN (SELECT id FROM source_runs WHERE source = ? ORDER BY id DESC LIMIT ?)",
+          r.source,
+          r.source,
+          HEALTH_RUNS_KEPT
+        );
+      }
+      return new Response("ok");
+    }
+
+    if (url.pathname === "/health-get") {
+      const out = {};
+      for (const r of this.sql.exec("SELECT source, ts, ok, items, priced, titled, error FROM source_runs ORDER BY id DESC").toArray()) {
+        (out[r.source] ||= []).push({ ts: r.ts, ok: Boolean(r.ok), items: r.items, priced: r.priced, titled: r.titled, error: r.error });
+      }
+      return new Response(JSON.stringify(out), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/history-add") {
+      const { ts, rows } = await request.json();
+      for (const r of rows || []) {
+        if (!r?.link || !Number.isFinite(r.priceRON)) continue;
+        this.sql.exec(
+          "INSERT INTO price_history (link, source, title, price_ron, ts) VALUES (?, ?, ?, ?, ?)",
+          r.link,
+          r.source,
+          r.title,
+          r.priceRON,
+          ts
+        );
+      }
+      return new Response("ok");
+    }
+
+    if (url.pathname === "/history-get") {
+      const link = url.searchParams.get("link") || "";
+      // Newest HISTORY_MAX_POINTS, oldest first: priceStats reads the last point as the current price
+      const points = this.sql
+        .exec("SELECT ts, price_ron, source, title FROM price_history WHERE link = ? ORDER BY ts DESC, id DESC LIMIT ?", link, HISTORY_MAX_POINTS)
+        .toArray()
+        .reverse()
+        .map((r) => ({ ts: new Date(r.ts).toISOString(), priceRON: r.price_ron, source: r.source, title: r.title }));
+      return new Response(JSON.stringify(points), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/alerts-list") {
+      const alerts = this.sql
+        .exec("SELECT id, link, query, max_price_ron, webhook_url, created_at FROM alerts ORDER BY created_at ASC")
+        .toArray()
+        .map((r) => ({
+          id: r.id,
+          link: r.link,
+          query: r.query,
+          maxPriceRON: r.max_price_ron,
+          webhookUrl: r.webhook_url,
+          createdAt: r.created_at,
+        }));
+      return new Response(JSON.stringify(alerts), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/alerts-put") {
+      const { alert } = await request.json();
+      if (alert?.id) {
+        this.sql.exec(
+          "INSERT OR REPLACE INTO alerts (id, link, query, max_price_ron, webhook_url, created_at) VALUES (?, ?, ?, ?, ?, ?)",
+          alert.id,
+          alert.link,
+          alert.query,
+          alert.maxPriceRON,
+          alert.webhookUrl,
+          alert.createdAt
+        );
+      }
+      return new Response("ok");
+    }
+
+    if (url.pathname === "/alerts-delete") {
+      const alertId = url.searchParams.get("id") || "";
+      const removed = this.sql.exec("DELETE FROM alerts WHERE id = ?", alertId).rowsWritten;
+      this.sql.exec("DELETE FROM alert_notifications WHERE alert_id = ?", alertId);
+      return new Response(removed ? "ok" : "not found", { status: removed ? 200 : 404 });
+    }
+
+    if (url.pathname === "/alerts-claim") {
+      const { claims } = await request.json();
+      const claimed = (claims || []).map(({ alertId, link, priceRON, reason }) => {
+        const prev = this.sql
+          .exec("SELECT price_ron FROM alert_notifications WHERE alert_id = ? AND link = ?", alertId, link)
+          .toArray()[0];
+
+        const cheaper = prev && priceRON != null && (prev.price_ron == null || priceRON < prev.price_ron);
+        if (prev && !cheaper) return false;
+        this.sql.exec(
+          "INSERT OR REPLACE INTO alert_notifications (alert_id, link, price_ron, reason, ts) VALUES (?, ?, ?, ?, ?)",
+          alertId,
+          link,
+          priceRON,
+          reason,
+          Date.now()
+        );
+        return true;
+      });
+      return new Response(JSON.stringify({ claimed }), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/alerts-release") {
+      const { alertId, link } = await request.json();
+      this.sql.exec("DELETE FROM alert_notifications WHERE alert_id = ? AND link = ?", alertId, link);
+      return new Response("ok");
+    }
+
+    if (url.pathname === "/jobs-create") {
+      const { kind, input, keyId, llmCallLimit, quotaDay: day } = await request.json();
+      const key = kind === "watchlist_refresh" ? "watchlist:" + input.watchlistId : searchInputKey(input);
+
+      // Coalesce: an identical query (or a refresh of the same watchlist) already queued/running gets the same job
+      const inflightId = await this.state.storage.get("jobkey:" + key);
+      const inflight = inflightId ? await this.state.storage.get("job:" + inflightId) : null;
+      if (inflight && (inflight.status === "queued" || inflight.status === "running")) {
+        // The joining key may poll it too (GET /api/jobs/:id checks keyId / viewers). Kept apart from the job
+        // record, which runJob rewrites from its own copy.
+        if (keyId && inflight.keyId !== keyId) {
+          const viewers = (await this.state.storage.get("jobviewers:" + inflight.id)) || [];
+          if (!viewers.includes(keyId)) await this.state.storage.put("jobviewers:" + inflight.id, [...viewers, keyId]);
+        }
+        return new Response(JSON.stringify({ ...inflight, coalesced: true }), {
+          headers: { "content-type": "application/json; charset=utf-8" },
+        });
+      }
+
+      const job = {
+        id: crypto.randomUUID(),
+        kind,
+        key,
+        input,
+        keyId,
+        llmCallLimit,
+        quotaDay: day,
+        status: "queued",
+        stages: [],
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        error: null,
+        result: null,
+      };
+      await this.state.storage.put({ ["job:" + job.id]: job, ["jobkey:" + key]: job.id });
+      await this.scheduleAlarm(Date.now());
+
+      return new Response(JSON.stringify({ ...job, coalesced: false }), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/jobs-get") {
+      const jobId = url.searchParams.get("id") || "";
+      const job = await this.state.storage.get("job:" + jobId);
+      const viewers = job ? (await this.state.storage.get("jobviewers:" + jobId)) || [] : [];
+      return new Response(JSON.stringify(job ? { ...job, viewers } : null), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/searches-list") {
+      const map = await this.state.storage.list({ prefix: "search:" });
+      return new Response(JSON.stringify([...map.values()]), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/searches-put") {
+      const { search } = await request.json();
+      if (search?.id) await this.state.storage.put("search:" + search.id, search);
+      return new Response("ok");
+    }
+
+    if (url.pathname === "/searches-delete") {
+      const key = "search:" + (url.searchParams.get("id") || "");
+      const existed = await this.state.storage.delete(key);
+      return new Response(existed ? "ok" : "not found", { status: existed ? 200 : 404 });
+    }
+
+    if (url.pathname === "/searches-record") {
+      const { id, run } = await request.json();
+      const search = await this.state.storage.get("search:" + id);
+      if (!search) return new Response("not found", { status: 404 });
+
+      if (run?.error) {
+        search.lastRun = { ts: run.ts, error: run.error, newListings: [], cheaper: [] };
+      } else {
+        const diff = diffTrackedListings(search.seen, run?.listings, run.ts);
+        search.seen = diff.seen;
+        search.lastRun = { ts: run.ts, count: run.listings?.length || 0, newListings: diff.newListings, cheaper: diff.cheaper };
+      }
+      search.lastCheckedAt = run.ts;
+      await this.state.storage.put("search:" + id, search);
+      return new Response("ok");
+    }
+
+    if (url.pathname === "/watchlists-list") {
+      const map = await this.state.storage.list({ prefix: "watchlist:" });
+      return new Response(JSON.stringify([...map.values()]), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/watchlists-get") {
+      const watchlist = await this.state.storage.get("watchlist:" + (url.searchParams.get("id") || ""));
+      return new Response(JSON.stringify(watchlist || null), {
+        headers: { "content-type": "application/json; charset=utf-8" },
+      });
+    }
+
+    if (url.pathname === "/watchlists-put") {
+      const { watchlist } = await request.json();
+      if (watchlist?.id) await this.state.storage.put("watchlist:" + watchlist.id, watchlist);
+      return new Response("ok");
+    }
+
+    if (url.pathname === "/watchlists-delete") {
+      const key = "watchlist:" + (url.searchParams.get("id") || "");
+      const existed = await this.state.storage.delete(key);
+      return new Response(existed ? "ok" : "not found", { status: existed ? 200 : 404 });
+    }
+
     return new Response("not found", { status: 404 });
   }
-}
\ No newline at end of file
+
+  async alarm() {
+    await this.runQueuedJobs();
+    await this.sweepCache();
+  }
+
+  async sweepCache() {
+    this.sql.exec("DELETE FROM cache_entries WHERE expires_at <= ?", Date.now());
+
+    const listingCutoff = Date.now() - LISTING_RETENTION_MS;
+    this.sql.exec("DELETE FROM listing_prices WHERE link IN (SELECT link FROM listings WHERE last_seen < ?)", listingCutoff);
+    this.sql.exec("DELETE FROM listings WHERE last_seen < ?", listingCutoff);
+    this.sql.exec("DELETE FROM price_history WHERE ts < ?", Date.now() - HISTORY_RETENTION_MS);
+
+    // Result blobs from before per-namespace caching lived in KV under "cache:" and never expired
+    const legacy = await this.state.storage.list({ prefix: "cache:", limit: 128 });
+    if (legacy.size) await this.state.storage.delete([...legacy.keys()]);
+
+    const next = this.sql.exec("SELECT MIN(expires_at) AS next FROM cache_entries").toArray()[0]?.next;
+    if (legacy.size) await this.scheduleAlarm(Date.now());
+    else if (next) await this.scheduleAlarm(next);
+  }
+
+  // Only ever moves the alarm earlier; the alarm handler reschedules whatever is still pending.
+  async scheduleAlarm(ts) {
+    const current = await this.state.storage.getAlarm();
+    if (current == null || ts < current) await this.state.storage.setAlarm(ts);
+  }
+
+  async runQueuedJobs() {
+    const jobs = [...(await this.state.storage.list({ prefix: "job:" })).values()];
+    const now = Date.now();
+
+    const expired = jobs
+      .filter((j) => j.finishedAt && now - Date.parse(j.finishedAt) > JOB_RETENTION_MS)
+      .flatMap((j) => ["job:" + j.id, "jobviewers:" + j.id]);
+    if (expired.length) await this.state.storage.delete(expired);
+
+    // A job still "running" here was interrupted (eviction/redeploy): run it again
+    const pending = jobs
+      .filter((j) => j.status === "queued" || j.status === "running")
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    await Promise.all(pending.slice(0, JOBS_PER_ALARM).map((j) => this.runJob(j)));
+
+    if (pending.length > JOBS_PER_ALARM) await this.scheduleAlarm(Date.now());
+    else if (jobs.some((j) => j.finishedAt)) await this.scheduleAlarm(Date.now() + JOB_RETENTION_MS);
+  }
+
+  // Upserts one observation (see listingObservation) and returns the lifecycle event it caused, if any
+  observeListing(r, ts) {
+    if (!r?.link || !LISTING_STATUSES.includes(r.status)) return null;
+    const prev = this.sql.exec("SELECT * FROM listings WHERE link = ?", r.link).toArray()[0];
+    const logPrice = (price) => {
+      if (price != null) this.sql.exec("INSERT INTO listing_prices (link, ts, price_ron) VALUES (?, ?, ?)", r.link, ts, price);
+    };
+
+    if (!prev) {
+      // Never saw it alive: nothing to track
+      if (r.status !== "active") return null;
+
+      // Only an ad that is gone can have been relisted; the same seller may just not have been re-checked yet.
+      // Another seller's live ad with the same photos is a duplicate or a scam, not a relist.
+      const candidates = this.sql
+        .exec(
+          `SELECT * FROM listings WHERE link != ? AND (title_fp = ? OR desc_fp = ? OR image_fp = ?)
+             AND (status IN ('removed', 'sold') OR (seller IS NOT NULL AND seller = ?))
+           ORDER BY last_seen DESC LIMIT 20`,
+          r.link,
+          r.titleFp,
+          r.descFp,
+          r.imageFp,
+          r.seller
+        )
+        .toArray();
+      const match = candidates
+        .map((c) => ({ c, signals: relistSignals(r, c) }))
+        .filter((m) => m.signals.length >= RELIST_MIN_SIGNALS)
+        .sort((a, b) => b.signals.length - a.signals.length)[0];
+
+      this.sql.exec(
+        `INSERT INTO listings (link, source, title, title_key, title_fp, desc_fp, image_fp, seller, status, status_at,
+           first_seen, last_seen, last_checked, price_ron, relist_of)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, ?, ?, ?, ?)`,
+        r.link,
+        r.source,
+        r.title,
+        r.titleKey,
+        r.titleFp,
+        r.descFp,
+        r.imageFp,
+        r.seller,
+        ts,
+        ts,
+        ts,
+        r.checked ? ts : null,
+        r.priceRON,
+        match?.c.link || null
+      );
+      logPrice(r.priceRON);
+      if (!match) return { type: "new", link: r.link, priceRON: r.priceRON };
+      return {
+        type: "relisted",
+        link: r.link,
+        relistOf: match.c.link,
+        signals: match.signals,
+        priceRON: r.priceRON,
+        previousPriceRON: match.c.price_ron,
+        previousStatus: match.c.status,
+      };
+    }
+
+    // Search results only fill in what we didn't have: their description fingerprint comes from a
+    // snippet and would no longer match the ad page's. A read of the ad page itself (r.checked) wins.
+    const pick = (col, v) => (r.checked ? v ?? prev[col] : prev[col] ?? v);
+    this.sql.exec(
+      `UPDATE listings SET title = ?, title_key = ?, title_fp = ?, desc_fp = ?, image_fp = ?, seller = ?,
+         last_checked = CASE WHEN ? THEN ? ELSE last_checked END
+       WHERE link = ?`,
+      pick("title", r.title),
+      pick("title_key", r.titleKey),
+      pick("title_fp", r.titleFp),
+      pick("desc_fp", r.descFp),
+      pick("image_fp", r.imageFp),
+      pick("seller", r.seller),
+      r.checked ? 1 : 0,
+      ts,
+      r.link
+    );
+
+    if (r.status !== "active") {
+      if (prev.status === r.status) return null;
+      this.sql.exec("UPDATE listings SET status = ?, status_at = ? WHERE link = ?", r.status, ts, r.link);
+      return { type: r.status, link: r.link, previousStatus: prev.status, daysActive: Math.round((prev.last_seen - prev.first_seen) / 864e5) };
+    }
+
+    this.sql.exec("UPDATE listings SET last_seen = ? WHERE link = ?", ts, r.link);
+    if (prev.status !== "active") {
+      this.sql.exec("UPDATE listings SET status = 'active', status_at = ? WHERE link = ?", ts, r.link);
+    }
+    const priceChanged = r.priceRON != null && r.priceRON !== prev.price_ron;
+    if (priceChanged) {
+      this.sql.exec("UPDATE listings SET price_ron = ? WHERE link = ?", r.priceRON, r.link);
+      logPrice(r.priceRON);
+    }
+    if (prev.status !== "active") return { type: "reactivated", link: r.link, previousStatus: prev.status, priceRON: r.priceRON ?? prev.price_ron };
+    if (priceChanged) return { type: "price_changed", link: r.link, priceRON: r.priceRON, previousPriceRON: prev.price_ron };
+    return null;
+  }
+
+  // Searches in a refresh take their own quota (refreshWatchlist), so the job reserves nothing up front
+  async runWatchlistRefresh(job, onStage) {
+    const { watchlistId } = job.input;
+    const watchlist = await this.state.storage.get("watchlist:" + watchlistId);
+    if (!watchlist) throw new Error("watchlist not found");
+    const auth = await ownerAuth(this.env, job.keyId);
+    if (!auth) throw new Error("api key deleted");
+
+    const refresh = await refreshWatchlist(this.env, watchlist, auth, { onItem: (kind, id) => onStage(`${kind}:${id}`) });
+    // Re-read: the list may have been edited while the refresh ran
+    const current = await this.state.storage.get("watchlist:" + watchlistId);
+    if (!current) throw new Error("watchlist not found");
+    const changes = applyWatchlistRefresh(current, refresh, new Date().toISOString());
+    await this.state.storage.put("watchlist:" + watchlistId, current);
+    return { id: watchlistId, name: current.name, ...changes };
+  }
+
+  addKeyUsage(keyId, day, searches, llmCalls) {
+    this.sql.exec(
+      `INSERT INTO api_key_usage (key_id, day, searches, llm_calls) VALUES (?, ?, ?, ?)
+       ON CONFLICT (key_id, day) DO UPDATE SET searches = searches + excluded.searches, llm_calls = MAX(0, llm_calls + ?)`,
+      keyId,
+      day,
+      searches,
+      Math.max(0, llmCalls),
+      llmCalls
+    );
+  }
+
+  async runJob(job) {
+    const save = () => this.state.storage.put("job:" + job.id, job);
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    await save();
+
+    const usage = newLlmUsage(this.env);
+    usage.limit = job.llmCallLimit ?? null;
+    const onStage = (stage) => {
+      job.stages.push({ stage, ts: new Date().toISOString() });
+      save().catch(() => {});
+    };
+    try {
+      job.result =
+        job.kind === "watchlist_refresh"
+          ? await this.runWatchlistRefresh(job, onStage)
+          : await runSearchWithCache(this.env, job.input, { usage, onStage });
+      job.status = "done";
+    } catch (e) {
+      job.status = "error";
+      job.error = String(e?.message || e);
+    }
+    // llmCallLimit was reserved up front (takeSearchQuota): charge the difference
+    const delta = usage.calls - (job.llmCallLimit ?? 0);
+    if (job.keyId && delta) this.addKeyUsage(job.keyId, job.quotaDay || quotaDay(), 0, delta);
+
+    job.finishedAt = new Date().toISOString();
+    await save();
+    if ((await this.state.storage.get("jobkey:" + job.key)) === job.id) await this.state.storage.delete("jobkey:" + job.key);
+  }
+}
+
+// Pure parsers and the pipeline, for the offline tests (test/) and the fixture recorder (scripts/)
+export {
+  runSearchPipeline,
+  geminiIntent,
+  newLlmUsage,
+  normalizeSearchInput,
+  parsePricySearchHtml,
+  parseReselectoSearchHtml,
+  parseEmagSearchHtml,
+  parseAltexSearchHtml,
+  parseOlxSearchHtml,
+  olxOfferFromApi,
+  discoverOlxListings,
+  fetchListingDetails,
+  parseListingPage,
+  extractPriceRON,
+  titleFromPricyPath,
+  detectDefects,
+  detectNegotiable,
+  detectShipping,
+  parseCpu,
+};
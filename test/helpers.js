@@ -0,0 +1,95 @@
+// Offline harness: recorded responses (test/fixtures/) stand in for every site the pipeline talks to,
+// and an in-memory stand-in replaces the DB Durable Object. scripts/record-fixtures.js writes the fixtures.
+
+import { existsSync, readFileSync } from "node:fs";
+
+export const FIXTURES_DIR = new URL("./fixtures/", import.meta.url);
+
+// Which fixture answers a request; null = never recorded (served as 404: robots.txt, unknown hosts)
+export function fixtureName(url, init = {}) {
+  const u = new URL(url);
+  const host = u.hostname.replace(/^www\./, "");
+
+  if (u.pathname === "/robots.txt") return null;
+  if (host === "pricy.ro" && u.pathname.startsWith("/productsv2/")) return "pricy-search.html";
+  if (host === "reselecto.ro" && u.searchParams.has("s")) return "reselecto-search.html";
+  if (host === "emag.ro" && u.pathname.startsWith("/search/")) return "emag-search.html";
+  if (host === "altex.ro" && u.pathname.startsWith("/cauta/")) return "altex-search.html";
+  if (host === "olx.ro" && u.pathname.startsWith("/api/v1/offers")) {
+    const offset = Number(u.searchParams.get("offset")) || 0;
+    return offset ? `olx-api-offers-${offset}.json` : "olx-api-offers.json";
+  }
+  if (host === "olx.ro" && u.pathname.startsWith("/d/oferta/")) return `olx-ad-${u.pathname.split("/").pop().replace(/\.html$/, "")}.html`;
+  if (host === "googleapis.com" && u.pathname.startsWith("/customsearch/")) {
+    return /site:olx\.ro/.test(u.searchParams.get("q") || "") ? "cse-olx.json" : "cse-reviews.json";
+  }
+  if (host === "generativelanguage.googleapis.com") {
+    const prompt = JSON.parse(init.body || "{}").contents?.[0]?.parts?.[0]?.text || "";
+    return `gemini-${geminiTask(prompt)}.json`;
+  }
+  return null;
+}
+
+// The prompts in src/index.js don't carry the task name; their JSON shapes tell them apart
+export function geminiTask(prompt) {
+  if (/"category": "tv\|laptop/.test(prompt)) return "intent";
+  if (/"overallScore": number/.test(prompt)) return "score";
+  if (/"items": \[ \{ "link": "\.\.\.", "condition"/.test(prompt)) return "facts";
+  if (/best value for money/.test(prompt)) return "recommendation";
+  return "unknown";
+}
+
+export function readFixture(name) {
+  return readFileSync(new URL(name, FIXTURES_DIR), "utf8");
+}
+
+// Replaces global fetch with fixture replay. Returns the request log and a restore function.
+// missing: fixture names to serve as 404 anyway (a source that is down, to reach its fallback)
+export function stubFetch({ missing = [] } = {}) {
+  const original = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (input, init = {}) => {
+    const url = typeof input === "string" ? input : input.url;
+    const name = fixtureName(url, init);
+    const file = name && new URL(name, FIXTURES_DIR);
+    calls.push({ url, fixture: name });
+    if (!file || missing.includes(name) || !existsSync(file)) return new Response("not recorded", { status: 404 });
+    const type = name.endsWith(".json") ? "application/json" : "text/html; charset=utf-8";
+    return new Response(readFileSync(file), { status: 200, headers: { "content-type": type } });
+  };
+  return { calls, restore: () => (globalThis.fetch = original) };
+}
+
+// Just enough of the DB Durable Object for a search: a cache, open rate limits and quotas, no-op writes
+export function fakeDb() {
+  const cache = new Map();
+  const writes = [];
+  const respond = (body) => new Response(JSON.stringify(body), { headers: { "content-type": "application/json" } });
+
+  const stub = {
+    async fetch(input, init = {}) {
+      const u = new URL(typeof input === "string" ? input : input.url);
+      const body = init.body ? JSON.parse(init.body) : null;
+      switch (u.pathname) {
+        case "/cache-get": {
+          const hit = cache.get(`${u.searchParams.get("ns")}|${u.searchParams.get("k")}`);
+          return respond(hit && hit.expiresAt > Date.now() ? { ts: hit.ts, value: hit.value } : null);
+        }
+        case "/cache-put":
+          cache.set(`${body.ns}|${body.key}`, { ts: Date.now(), value: body.value, expiresAt: Date.now() + (body.ttlMs || 60000) });
+          return new Response("ok");
+        case "/ratelimit-take":
+          return respond({ waitMs: 0 });
+        case "/cse-take":
+          return respond({ ok: true, used: 1, limit: body.limit });
+        case "/alerts-list":
+        case "/listings-observe":
+          return respond([]);
+        default:
+          writes.push({ path: u.pathname, body });
+          return new Response("ok");
+      }
+    },
+  };
+  return { idFromName: () => "main", get: () => stub, cache, writes };
+}
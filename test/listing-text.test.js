@@ -0,0 +1,39 @@
+// Heuristics over free listing text (title + description): the wording sellers actually use.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { detectDefects, detectNegotiable, detectShipping } from "../src/index.js";
+
+test("detectDefects: wear that is mentioned", () => {
+  assert.deepEqual(detectDefects("Are o zgarietura pe rama si 2 pixeli morti"), ["scratches mentioned", "dead pixel(s) mentioned"]);
+  assert.deepEqual(detectDefects("Colt ciobit, fara telecomanda"), ["no remote included", "dents/chips mentioned"]);
+});
+
+test("detectDefects: negated wording is not damage", () => {
+  assert.deepEqual(detectDefects("nelovit, nezgariat, fara pixeli morti"), []);
+  assert.deepEqual(detectDefects("Ecran neciobit, ne-zgariat"), []);
+  assert.deepEqual(detectDefects("no scratches, no dead pixels"), []);
+  assert.deepEqual(detectDefects("Nu are zgarieturi, fără lovituri, without dents"), []);
+  // A negation elsewhere in the text doesn't cancel a defect that is reported
+  assert.deepEqual(detectDefects("fara cutie, dar are o zgarietura"), ["scratches mentioned", "no original box"]);
+});
+
+test("detectNegotiable: explicit refusals win over the word negociabil", () => {
+  assert.equal(detectNegotiable("Pret negociabil"), true);
+  assert.equal(detectNegotiable("Pretul nu este negociabil"), false);
+  assert.equal(detectNegotiable("nu e negociabil"), false);
+  assert.equal(detectNegotiable("Nu mai e negociabil"), false);
+  assert.equal(detectNegotiable("pret nenegociabil"), false);
+  assert.equal(detectNegotiable("Televizor in stare buna"), "unknown");
+});
+
+test("detectShipping: refusing delivery is pickup only, even next to the word livrare", () => {
+  assert.equal(detectShipping("Nu se face livrare, doar ridicare din Cluj"), false);
+  assert.equal(detectShipping("nu se ofera livrare"), false);
+  assert.equal(detectShipping("livrare doar personala"), false);
+  assert.equal(detectShipping("Predare doar personal in Iasi"), false);
+  assert.equal(detectShipping("Doar ridicare, trimit poze la cerere"), false);
+  assert.equal(detectShipping("Livrare prin Fan Courier"), true);
+  assert.equal(detectShipping("Televizor in stare buna"), null);
+});
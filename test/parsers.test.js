@@ -0,0 +1,153 @@
+// Source parsers against recorded pages: these are what breaks first when a site changes its markup.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  extractPriceRON,
+  olxOfferFromApi,
+  parseAltexSearchHtml,
+  parseCpu,
+  parseEmagSearchHtml,
+  parseListingPage,
+  parsePricySearchHtml,
+  parseReselectoSearchHtml,
+  titleFromPricyPath,
+} from "../src/index.js";
+import { readFixture } from "./helpers.js";
+
+test("Pricy: product links with their lowest price, cheapest first, other hosts ignored", () => {
+  const items = parsePricySearchHtml(readFixture("pricy-search.html"));
+
+  assert.deepEqual(
+    items.map((x) => [x.title, x.priceRON]),
+    [
+      ["Husa telecomanda LG Magic Remote", 49],
+      ["Sony Bravia XR 55A80L Televizor OLED 139 cm", 3899],
+      ["LG OLED55C31LA Televizor OLED 139 cm 4K Smart", 4299],
+      ["Samsung QE55S90C Televizor OLED 138 cm 4K", 4599],
+    ]
+  );
+  assert.equal(items[2].link, "https://www.pricy.ro/ProductUrlId/1187321/LG-OLED55C31LA-Televizor-OLED-139-cm-4K-Smart");
+  assert.ok(items.every((x) => new URL(x.link).hostname === "www.pricy.ro"));
+});
+
+test("Pricy: title comes from the slug after the product id", () => {
+  assert.equal(titleFromPricyPath("/ProductUrlId/1187321/LG-OLED55C31LA_Televizor%20OLED"), "LG OLED55C31LA Televizor OLED");
+  assert.equal(titleFromPricyPath("/ProductUrlId/1187321"), null);
+  assert.equal(titleFromPricyPath("/categorie/televizoare"), null);
+});
+
+test("Reselecto: WooCommerce tiles give title, absolute link and the sale price", () => {
+  const items = parseReselectoSearchHtml(readFixture("reselecto-search.html"));
+
+  assert.equal(items.length, 2);
+  assert.match(items[0].title, /^Televizor LG OLED55C31LA, 139 cm, 4K/);
+  assert.equal(items[0].link, "https://www.reselecto.ro/produs/televizor-lg-oled55c31la-resigilat/");
+  // 4.199 is the struck-through price (its "lei" sits in a nested span)
+  assert.equal(items[0].priceRON, 3350);
+  assert.equal(items[1].priceRON, 2999);
+});
+
+test("extractPriceRON: dots, spaces and decimals", () => {
+  assert.equal(extractPriceRON("<b>Pret: 4.299 lei</b>"), 4299);
+  assert.equal(extractPriceRON("de la 12 499 lei"), 12499);
+  assert.equal(extractPriceRON("fara pret"), null);
+});
+
+test("OLX API: offers map to price, condition, location, image and description", () => {
+  const [lg, sony] = JSON.parse(readFixture("olx-api-offers.json")).data.map(olxOfferFromApi);
+
+  assert.equal(lg.link, "https://www.olx.ro/d/oferta/televizor-lg-oled55c3-139-cm-IDjK3pQ.html");
+  assert.equal(lg.priceRON, 2600);
+  assert.equal(lg.negotiable, true);
+  assert.equal(lg.condition, "used");
+  assert.equal(lg.city, "Cluj-Napoca");
+  assert.equal(lg.image, "https://frankfurt.apollo.olxcdn.com:443/v1/files/h1a2b3c4d5-RO/image");
+  assert.match(lg.rawText, /^Vand televizor LG OLED55C3/);
+  assert.equal(sony.shipping, true);
+});
+
+test("OLX ad page: JSON-LD first, with the method recorded per field", () => {
+  const page = parseListingPage(readFixture("olx-ad-sony-bravia-xr-55a80l-oled-IDkL9wE.html"), null);
+
+  assert.equal(page.title, "Sony Bravia XR-55A80L OLED 55 inch");
+  assert.equal(page.priceRON, 3100);
+  assert.equal(page.currency, "RON");
+  assert.equal(page.fieldSources.priceRON, "jsonld");
+  assert.equal(page.inStock, true);
+  assert.equal(page.shipping, true);
+});
+
+test("eMAG: JSON-LD products with sale and list price; a malformed url only drops its own product", () => {
+  const items = parseEmagSearchHtml(readFixture("emag-jsonld.html"));
+
+  assert.deepEqual(
+    items.map((x) => [x.title, x.priceRON, x.oldPriceRON, x.inStock]),
+    [
+      ["Televizor LG OLED55C31LA, 139 cm, Smart, 4K Ultra HD, 100Hz, Clasa F", 4199.99, 5499.99, true],
+      ["Televizor Sony BRAVIA XR-55A80L, 139 cm, Smart Google TV, 4K Ultra HD, OLED & HDR", 3999.99, null, false],
+    ]
+  );
+  // Relative url resolved against the shop; the EUR-priced product and the HTML tile are not used
+  assert.equal(items[1].link, "https://www.emag.ro/televizor-sony-bravia-xr-55a80l-139-cm-smart-google-tv-4k-ultra-hd-oled-xr55a80laep/pd/DMJ3K2MBM/");
+  assert.ok(items.every((x) => x.extractedBy === "jsonld"));
+});
+
+test("eMAG: card tiles when the page has no JSON-LD", () => {
+  const items = parseEmagSearchHtml(readFixture("emag-cards.html"));
+
+  assert.equal(items.length, 2, "tile without a price skipped");
+  const [lg, sony] = items;
+  assert.equal(lg.link, "https://www.emag.ro/televizor-lg-oled55c31la-139-cm-smart-4k-ultra-hd-100hz-clasa-f-oled55c31la/pd/D7Q4RRMBM/");
+  assert.equal(lg.title, "Televizor LG OLED55C31LA, 139 cm, Smart, 4K Ultra HD, 100Hz, Clasa F");
+  assert.equal(lg.priceRON, 4199.99);
+  assert.equal(lg.oldPriceRON, 5499.99);
+  assert.equal(lg.inStock, true);
+  // No data-url/data-name: link and title come from the title anchor
+  assert.equal(sony.link, "https://www.emag.ro/televizor-sony-bravia-xr-55a80l-139-cm-smart-google-tv-4k-ultra-hd-oled-xr55a80laep/pd/DMJ3K2MBM/");
+  assert.equal(sony.title, "Televizor Sony BRAVIA XR-55A80L, 139 cm, Smart Google TV, 4K Ultra HD, OLED & HDR");
+  assert.equal(sony.priceRON, 3999.99);
+  assert.equal(sony.oldPriceRON, null);
+  assert.equal(sony.inStock, false);
+});
+
+test("Altex: Next.js payload, special_price over price, regular_price as the old price", () => {
+  const items = parseAltexSearchHtml(readFixture("altex-next-data.html"));
+
+  assert.deepEqual(
+    items.map((x) => [x.link, x.priceRON, x.oldPriceRON, x.inStock]),
+    [
+      ["https://altex.ro/televizor-oled-smart-lg-oled55c31la-ultra-hd-4k-hdr-139-cm/cpd/OLED55C31LA/", 4299.99, 5299.99, true],
+      ["https://altex.ro/televizor-oled-smart-sony-xr-55a80l/cpd/XR55A80LAEP/", 3899.99, 4999.99, false],
+    ]
+  );
+  assert.equal(items[0].title, "Televizor OLED Smart LG OLED55C31LA, Ultra HD 4K, HDR, 139 cm");
+  assert.ok(items.every((x) => x.extractedBy === "next_data"));
+});
+
+test("Altex: product tiles, the lower of two prices is the current one", () => {
+  const items = parseAltexSearchHtml(readFixture("altex-tiles.html"));
+
+  assert.equal(items.length, 2, "tile without a /cpd/ link skipped");
+  const [lg, sony] = items;
+  assert.equal(lg.link, "https://altex.ro/televizor-oled-smart-lg-oled55c31la-ultra-hd-4k-hdr-139-cm/cpd/OLED55C31LA/");
+  assert.equal(lg.title, "Televizor OLED Smart LG OLED55C31LA, Ultra HD 4K, HDR, 139 cm");
+  assert.equal(lg.priceRON, 4299.99);
+  assert.equal(lg.oldPriceRON, 5299.99);
+  assert.equal(lg.inStock, true);
+  assert.equal(sony.title, "Televizor OLED Smart Sony Bravia XR-55A80L & Google TV, 139 cm");
+  assert.equal(sony.priceRON, 3899.99);
+  assert.equal(sony.oldPriceRON, null);
+  assert.equal(sony.inStock, false);
+});
+
+test("parseCpu: Apple chips with the brand before or after them, Intel and Ryzen anywhere", () => {
+  assert.equal(parseCpu("Apple MacBook Air 13 M2 8GB 256GB"), "M2");
+  assert.equal(parseCpu("MacBook Air M1 2020"), "M1");
+  assert.equal(parseCpu("Laptop 14 inch, procesor Apple M3 Pro, 18GB"), "Apple M3 Pro");
+  assert.equal(parseCpu("Laptop Lenovo IdeaPad i5-1235U 16GB"), "i5-1235U");
+  assert.equal(parseCpu("ASUS Vivobook Ryzen 7 7730U"), "Ryzen 7 7730U");
+  // Not a chip without an Apple listing around it
+  assert.equal(parseCpu("BMW M3 macheta 1:18"), null);
+});
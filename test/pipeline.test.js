@@ -0,0 +1,105 @@
+// runSearchPipeline end to end against the recorded fixtures: no network, no Durable Object.
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { geminiIntent, newLlmUsage, normalizeSearchInput, runSearchPipeline } from "../src/index.js";
+import { fakeDb, readFixture, stubFetch } from "./helpers.js";
+
+const input = normalizeSearchInput(JSON.parse(readFixture("search-input.json")));
+const offers = (result) => result.top.flatMap((g) => g.offers || [g]);
+const offerLinks = (result) => offers(result).map((o) => o.link);
+const pricesBySource = (result) => {
+  const out = {};
+  for (const o of offers(result)) (out[o.source] ||= []).push(o.priceRON);
+  for (const list of Object.values(out)) list.sort((a, b) => a - b);
+  return out;
+};
+
+let fetchStub;
+beforeEach(() => (fetchStub = stubFetch()));
+afterEach(() => fetchStub.restore());
+
+async function search(env) {
+  // One usage/steps pair across both calls, as runSearchWithCache does
+  const usage = newLlmUsage(env);
+  const steps = [];
+  const intent = await geminiIntent(env, input, { usage, steps, fresh: true });
+  return runSearchPipeline(env, input, intent, { usage, steps, fresh: true });
+}
+
+test("crawls every recorded source and drops accessories and broken ads", async () => {
+  const result = await search({ DB: fakeDb(), GOOGLE_CSE_API_KEY: "k", GOOGLE_CSE_CX: "cx" });
+
+  assert.deepEqual(
+    Object.fromEntries(Object.entries(result.sources).map(([name, s]) => [name, s.count])),
+    { pricy: 4, reselecto: 2, emag: 2, altex: 2, olx: 3 }
+  );
+  // Out-of-stock shop offers (the Sony on eMAG and Altex) don't make it to the ranking
+  assert.deepEqual(pricesBySource(result), {
+    pricy: [3899, 4299, 4599],
+    reselecto: [2999, 3350],
+    emag: [4199.99],
+    altex: [4299.99],
+    olx: [2600, 3100],
+  });
+  const links = offerLinks(result);
+  assert.equal(links.length, 9);
+  assert.ok(!links.some((l) => /Husa-telecomanda/.test(l)), "accessory filtered");
+  assert.ok(!links.some((l) => /ecran-spart/.test(l)), "broken ad filtered");
+});
+
+test("ranks with the rule scorer when no LLM is configured", async () => {
+  const result = await search({ DB: fakeDb(), GOOGLE_CSE_API_KEY: "k", GOOGLE_CSE_CX: "cx" });
+
+  assert.equal(result.debug.steps.find((s) => s.name === "score").method, "rules");
+  assert.equal(result.recommendation, null);
+  const scores = result.top.map((g) => g.overallScore);
+  assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+  // The only over-budget model ranks last
+  assert.match(result.top.at(-1).link, /Samsung-QE55S90C/);
+  // LG OLED55C3 / OLED55C31LA from every source is one product group
+  const lg = result.top.find((g) => (g.offers || []).some((o) => /oled55c3/i.test(o.link)));
+  assert.deepEqual(lg.offers.map((o) => o.source).sort(), ["altex", "emag", "olx", "pricy", "reselecto"]);
+});
+
+test("uses the recorded Gemini answers for intent, facts, scoring and the recommendation", async () => {
+  const result = await search({ DB: fakeDb(), GEMINI_API_KEY: "test", GOOGLE_CSE_API_KEY: "k", GOOGLE_CSE_CX: "cx" });
+
+  assert.equal(result.intent.category, "tv");
+  assert.deepEqual(result.intent.must_have, ["oled"]);
+  assert.equal(result.debug.steps.find((s) => s.name === "score").method, "llm");
+  for (const step of result.debug.steps.filter((s) => s.name.startsWith("llm_validate_"))) {
+    assert.equal(step.ok, true, step.name);
+    assert.deepEqual(step.violations, [], step.name);
+  }
+
+  const best = result.top[0];
+  assert.equal(best.link, "https://www.reselecto.ro/produs/televizor-lg-oled55c31la-resigilat/");
+  assert.equal(best.priceRON, 3350);
+  assert.equal(best.condition, "resealed");
+  assert.equal(best.offers.length, 5);
+  assert.match(result.recommendation, /^## Best pick under budget/);
+
+  assert.equal(result.reviews.items.length, 3);
+  assert.ok(result.reviews.items.every((r) => r.sources.some((s) => s.link.startsWith("https://www.rtings.com/"))));
+  assert.equal(result.debug.llm.calls, 4);
+});
+
+test("falls back to Google CSE for OLX when its API and search pages fail", async () => {
+  fetchStub.restore();
+  fetchStub = stubFetch({ missing: ["olx-api-offers.json"] });
+  const result = await search({ DB: fakeDb(), GOOGLE_CSE_API_KEY: "k", GOOGLE_CSE_CX: "cx" });
+
+  assert.ok(fetchStub.calls.some((c) => c.fixture === "cse-olx.json"));
+  // The category page in the results is not an ad; prices come from the ad pages, the broken one is dropped
+  assert.equal(result.sources.olx.count, 3);
+  assert.deepEqual(pricesBySource(result).olx, [2600, 3100]);
+});
+
+test("never leaves the fixtures", async () => {
+  await search({ DB: fakeDb(), GEMINI_API_KEY: "test", GOOGLE_CSE_API_KEY: "k", GOOGLE_CSE_CX: "cx" });
+
+  const unrecorded = fetchStub.calls.filter((c) => !c.fixture && !c.url.endsWith("/robots.txt"));
+  assert.deepEqual(unrecorded, []);
+});